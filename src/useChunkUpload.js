@@ -1,22 +1,51 @@
 // useChunkUpload.js - Chunked Upload Hook
 // This hook provides all chunked upload functionality in a reusable composable format
 
+// Shared across hook instances: whether each endpoint accepts gzip request bodies (true / false / pending probe)
+const gzipEndpointSupport = new Map();
+
 const useChunkUpload = (dependencies = {}) => {
     // Extract dependencies (will be passed from index.html)
     const {
         toastInstance = null,
         chainStoreInstance = null,
         userStoreInstance = null,
+        networkStoreInstance = null,
         BufferInstance = null,
-        MetaIDJsInstance = null
+        MetaIDJsInstance = null,
+        CryptoJSInstance = null,
+        uploadSessionStoreInstance = null,
+        uploadWorkerInstance = null,
+        constantsInstance = null,
+        chunkTaskStoreInstance = null,
+        chunkedUploadReviewInstance = null,
+        txFeeInstance = null,
+        utxoSelectionInstance = null,
+        pinOptionsInstance = null,
+        formatFileSizeInstance = null,
+        formatSatoshisInstance = null
     } = dependencies;
 
     // Helper to get stores (fallback to global if available)
     const getToast = () => toastInstance || (typeof useToast === 'function' ? useToast() : null);
     const getChainStore = () => chainStoreInstance || (typeof useChainStore === 'function' ? useChainStore() : null);
     const getUserStore = () => userStoreInstance || (typeof useUserStore === 'function' ? useUserStore() : null);
+    const getNetworkStore = () => networkStoreInstance || (typeof useNetworkStore === 'function' ? useNetworkStore() : null);
     const getBuffer = () => BufferInstance || (typeof window !== 'undefined' && window.Buffer) || null;
     const getMetaIDJs = () => MetaIDJsInstance || (typeof MetaIDJs !== 'undefined' ? MetaIDJs : null);
+    const getCryptoJS = () => CryptoJSInstance || (typeof CryptoJS !== 'undefined' ? CryptoJS : null);
+    const getSessionStore = () => uploadSessionStoreInstance || (typeof useUploadSessionStore === 'function' ? useUploadSessionStore() : null);
+    const getTaskStore = () => chunkTaskStoreInstance || (typeof useChunkTaskStore === 'function' ? useChunkTaskStore() : null);
+    const getConstants = () => constantsInstance || (typeof CONSTANTS !== 'undefined' ? CONSTANTS : null);
+    const getUploadWorker = () => uploadWorkerInstance || (typeof useUploadWorker === 'function' ? useUploadWorker() : null);
+    const getTxFee = () => txFeeInstance || (typeof useTxFee === 'function' ? useTxFee({ MetaIDJsInstance, BufferInstance }) : null);
+    const getUtxoSelection = () => utxoSelectionInstance || (typeof useUtxoSelection === 'function' ? useUtxoSelection() : null);
+    const getPinOptions = () => pinOptionsInstance || (typeof usePinOptions === 'function' ? usePinOptions() : null);
+    const getReview = () => chunkedUploadReviewInstance || (typeof useChunkedUploadReview === 'function' ? useChunkedUploadReview() : null);
+
+    // Size and amount formatting is shared with the page (index.html); plain fallbacks without it
+    const formatFileSize = (bytes) => (formatFileSizeInstance ? formatFileSizeInstance(bytes) : `${bytes} Bytes`);
+    const formatSatoshis = (satoshis) => (formatSatoshisInstance ? formatSatoshisInstance(satoshis) : `${satoshis} sats`);
 
     // Helper to get TxComposer and mvc from MetaIDJs
     const getTxComposer = () => {
@@ -28,26 +57,56 @@ const useChunkUpload = (dependencies = {}) => {
         return metaidjs ? metaidjs.mvc : null;
     };
 
-    // Constants
-    const API_BASE = 'https://file.metaid.io/metafile-uploader';
-    const TASK_PAGE_SIZE = 10;
-    const MULTIPART_CHUNK_SIZE = 1 * 1024 * 1024; // 5MB chunks
+    // 'livenet' or 'testnet'; picks the uploader endpoint and the address format
+    const getNetwork = () => {
+        const networkStore = getNetworkStore();
+        const constants = getConstants();
+        return (networkStore && networkStore.network) || (constants && constants.NETWORK) || 'livenet';
+    };
 
-    // State variables
-    let chunkedUploadChunkNumber = 0;
-    let taskList = [];
-    let taskCursor = 0;
-    let taskHasMore = false;
+    // MetaFS uploader for the current network (CONSTANTS.METAFS_API_BASES overrides the defaults)
+    const getApiBase = () => {
+        const network = getNetwork();
+        const constants = getConstants();
+        const apiBase = (constants && constants.METAFS_API_BASES && constants.METAFS_API_BASES[network]) || API_BASES[network];
+        if (!apiBase) {
+            throw new Error(`No MetaFS uploader endpoint configured for ${network}`);
+        }
+        return apiBase;
+    };
 
-    // Get DOM elements (with safe fallback)
-    const getTaskElements = () => {
-        return {
-            chunkTaskSection: document.getElementById('chunkTaskSection'),
-            taskListContainer: document.getElementById('taskListContainer'),
-            loadMoreTasksBtn: document.getElementById('loadMoreTasksBtn'),
-            taskListEmpty: document.getElementById('taskListEmpty')
-        };
+    // Constants
+    const API_BASES = {
+        livenet: 'https://file.metaid.io/metafile-uploader'
     };
+    const CHUNKED_PIN_OPERATIONS = ['create', 'modify']; // Revoking goes through useFileToChainDirect().revokePin
+    const TASK_PAGE_SIZE = 10;
+    const TASK_POLL_INTERVAL = 2000; // ms between task status checks in synchronous mode
+    const TASK_POLL_MAX_ERRORS = 5; // Consecutive failed polls before giving up
+    const TASK_LOOKUP_MAX_PAGES = 3; // Pages scanned when looking a task up by id
+    const TASK_POLL_MAX_NOT_FOUND = 10; // Consecutive polls that may miss the task before giving up
+    const TASK_POLL_TIMEOUT = 60 * 60 * 1000; // Longest synchronous wait for a task to finish
+    const MULTIPART_CHUNK_SIZE = 1 * 1024 * 1024; // 1MB chunks
+    const MULTIPART_UPLOAD_CONCURRENCY = 4; // Parts uploaded in parallel
+    const MULTIPART_PART_MAX_RETRIES = 3; // Retries per part for transient errors
+    const MULTIPART_RETRY_BASE_DELAY = 500; // ms, doubled on every retry
+    const MULTIPART_RETRY_MAX_DELAY = 8000; // ms
+    // How part contents are sent: raw bytes when the backend advertises it, base64 JSON otherwise
+    const PART_ENCODING_BINARY = 'binary';
+    const PART_ENCODING_JSON = 'json';
+    // Statuses meaning the backend rejected the binary upload-part request itself
+    const BINARY_UNSUPPORTED_STATUSES = [404, 405, 415];
+    // Request gzip: 'off', 'probe' (ask each endpoint once) or 'on'; override with CONSTANTS.REQUEST_GZIP
+    const REQUEST_GZIP_MODE = 'off';
+    const REQUEST_GZIP_MIN_SIZE = 16 * 1024; // Smaller JSON bodies are not worth compressing
+    // Server messages that will not succeed on retry
+    const FATAL_PART_ERROR_PATTERNS = [
+        /upload.*not (found|exist)/i,
+        /no such upload/i,
+        /invalid (upload ?id|key|part)/i,
+        /expired/i,
+        /exceed/i
+    ];
 
     // Get OSS upload progress DOM elements from HTML
     const getOSSUploadElements = () => {
@@ -145,7 +204,15 @@ const useChunkUpload = (dependencies = {}) => {
     }
 
     // Main function: Run chunked upload flow
-    async function runChunkedUploadFlow({ file, asynchronous = true } = {}) {
+    // Pass handle (from createUploadHandle) to be able to pause, resume or cancel the flow
+    // onProgress({ stage, loaded, total }) reports progress for each stage:
+    // 'hashing' (bytes fingerprinted), 'uploading' (bytes sent to OSS) and, in synchronous mode,
+    // 'processing' (chunks written on chain, with the task's currentStep and status)
+    // path, host, version and encryption set the MetaID pin fields; operation 'modify' with targetPinId
+    // publishes the file as a new version of that pin (see normalizePinOptions)
+    // encryptedSource: for an encrypted file, what is needed to encrypt the plaintext to the same bytes
+    // again on resume (see uploadFileToOSS); it is kept with the upload session
+    async function runChunkedUploadFlow({ file, asynchronous = true, concurrency, maxRetries, handle = createUploadHandle(), fingerprint = null, encryptedSource = null, onProgress, path, host, version, encryption, operation, targetPinId } = {}) {
         
         const toastObj = getToast();
         const chainStore = getChainStore();
@@ -156,190 +223,758 @@ const useChunkUpload = (dependencies = {}) => {
         }
         
         const { showToast } = toastObj;
-        const flowLabel = 'Async Chunked Upload Task';
+        const flowLabel = asynchronous ? 'Async Chunked Upload Task' : 'Chunked Upload';
+        const pinOptions = normalizePinOptions({ path, host, version, encryption, operation, targetPinId });
         const currentAddress = userStore.last.address;
+        const metaId = userStore.last.metaid;
+        let fileHash = null;
+        let submitted = false;
         try {
             showToast(`Starting ${flowLabel}...`, 'info');
 
+            // Fingerprint once: it keys the upload session for every later step
+            fingerprint = fingerprint || await computeFileFingerprint(file, handle.signal, createHashProgressReporter(onProgress));
+            fileHash = fingerprint.fileHash;
+
             // Step 1: Upload file to OSS using multipart upload
-            const storageKey = await uploadFileToOSS(file);
+            const storageKey = await uploadFileToOSS(file, { concurrency, maxRetries, handle, fingerprint, encryptedSource, onProgress });
             
-            const estimateResult = await estimateChunkedUploadFee(file, null, storageKey);
-            chunkedUploadChunkNumber = estimateResult.chunkNumber; // Store for progress calculation
-
-            const confirmed = await showChunkedUploadConfirmation(file, estimateResult);
-            if (!confirmed) {
-                return;
+            // The review lets the user switch the fee tier, which re-runs the estimate at the new rate
+            const review = await showChunkedUploadConfirmation(
+                file,
+                await estimateChunkedUploadFee(file, null, storageKey, handle.signal, pinOptions),
+                { reEstimate: () => estimateChunkedUploadFee(file, null, storageKey, handle.signal, pinOptions) }
+            );
+            if (!review.confirmed) {
+                throw new Error('Chunked upload user cancelled');
             }
+            handle.throwIfCancelled();
 
-            // Calculate fees for building PreTx transactions
-            const preTxBaseSize = 200; // Base transaction overhead
-            const preTxInputSize = 150; // Per input with signature
-            const preTxOutputSize = 34; // Per output
-            const feeRate = chainStore.mvcFeeRate() || 1;
+            const estimateResult = review.estimateResult;
+            await updateUploadSession(fileHash, metaId, currentAddress, {
+                feeEstimate: estimateResult,
+                feeRate: chainStore.mvcFeeRate() || 1,
+                pinOptions: pinOptions
+            });
 
-            // Estimate chunk PreTx size (1 input, no outputs yet - backend will add)
-            const chunkPreTxSize = preTxBaseSize + preTxInputSize;
-            const chunkPreTxBuildFee = Math.ceil(chunkPreTxSize * feeRate);
+            const transactions = await buildChunkedUploadTransactions(estimateResult, handle);
 
-            // Estimate index PreTx size (1 input, no outputs yet - backend will add)
-            const indexPreTxSize = preTxBaseSize + preTxInputSize;
-            const indexPreTxBuildFee = Math.ceil(indexPreTxSize * feeRate);
+            // Last point where the flow can still be cancelled: nothing has been submitted yet
+            handle.throwIfCancelled();
 
-            // Calculate total required amount for merge transaction
-            const chunkPreTxOutputAmount = estimateResult.chunkPreTxFee + chunkPreTxBuildFee;
-            const indexPreTxOutputAmount = estimateResult.indexPreTxFee + indexPreTxBuildFee;
+            // Both modes submit a task; synchronous mode then follows its real progress until it finishes
+            const task = await createChunkedUploadTask(file, null, storageKey, transactions.chunkPreTxHex, transactions.indexPreTxHex, transactions.mergeTxHex, getPinRequestFields(pinOptions));
+            submitted = true;
+            await updateUploadSession(fileHash, metaId, currentAddress, {
+                status: 'submitted',
+                taskId: task && task.taskId,
+                mergeTxId: transactions.mergeTxId
+            });
+
+            // Show the new task right away; the task list keeps polling it
+            const taskStore = getTaskStore();
+            if (taskStore) {
+                taskStore.addTask({
+                    fileName: file.name,
+                    status: 'pending',
+                    createdAt: Date.now(),
+                    ...task
+                });
+            }
 
-            // Estimate merge transaction fee
-            const mergeTxBaseSize = 200;
-            const mergeTxInputSize = 150;
-            const mergeTxOutputSize = 34;
-            const estimatedMergeTxInputs = 2; // Assume 2 inputs
-            const mergeTxSize = mergeTxBaseSize + (mergeTxInputSize * estimatedMergeTxInputs) + (mergeTxOutputSize * 2); // 2 outputs
-            const mergeTxFee = Math.ceil(mergeTxSize * feeRate);
+            if (asynchronous) {
+                showToast('🎉 Async chunk upload task created! Monitor progress in task list.', 'success');
+                return task;
+            }
 
-            const totalRequiredAmount = chunkPreTxOutputAmount + indexPreTxOutputAmount + mergeTxFee;
+            const finishedTask = await waitForChunkTask(task.taskId, {
+                signal: handle.signal,
+                onProgress: onProgress
+            });
 
-            const allUtxos = await getWalletUTXOs(totalRequiredAmount);
+            await clearUploadSession(fileHash, metaId, currentAddress);
+            showToast(`🎉 File uploaded successfully!`, 'success');
+            console.log('📝 Upload complete with pinId:', finishedTask.indexTxId + 'i0');
+            return {
+                txId: finishedTask.indexTxId,
+                pinId: `${finishedTask.indexTxId}i0`
+            };
+        } catch (error) {
+            console.error('❌ Chunked upload flow failed:', error);
+
+            if (handle.cancelled || error.cancelled || (error.message && error.message.includes('user cancelled'))) {
+                if (submitted) {
+                    // The task is already on the server; only stop following it
+                    showToast('Stopped following the upload task, it keeps running on the server', 'warning');
+                    throw error;
+                }
+                if (handle.cancelled && handle.abortServer && fileHash) {
+                    await clearUploadSession(fileHash, metaId, currentAddress);
+                }
+                showToast(`${flowLabel} cancelled`, 'warning');
+            } else {
+                showToast(`${flowLabel} failed: ` + error.message, 'error');
+            }
+            throw error;
+        }
+    }
+
+    // Build and sign the merge, chunk funding and index pre-transactions for an estimate.
+    // reuseMergeTxId: merge tx of an earlier attempt; when both of its funding outputs are still
+    // unspent and large enough, they are spent directly and no new merge tx is built (mergeTxHex is '').
+    async function buildChunkedUploadTransactions(estimateResult, handle, reuseMergeTxId = null) {
+        const chainStore = getChainStore();
+        const { showToast } = getToast();
+
+        // Calculate total required amount for merge transaction
+        const feeRate = chainStore.mvcFeeRate() || 1;
+        let amounts = calculateChunkedUploadAmounts(estimateResult, feeRate);
+        const { chunkPreTxOutputAmount, indexPreTxOutputAmount } = amounts;
+
+        let mergeResult = reuseMergeTxId
+            ? await getReusableMergeOutputs(reuseMergeTxId, chunkPreTxOutputAmount, indexPreTxOutputAmount)
+            : null;
+
+        if (mergeResult) {
+            console.log(`♻️ Reusing funding outputs of merge tx ${reuseMergeTxId}`);
+        } else {
+            // The merge fee depends on how many UTXOs are spent: select again until the count settles
+            let mergeInputCount = 1;
+            let allUtxos = await getWalletUTXOs(amounts.totalRequiredAmount);
+            while (allUtxos.utxos.length > mergeInputCount) {
+                mergeInputCount = allUtxos.utxos.length;
+                amounts = calculateChunkedUploadAmounts(estimateResult, feeRate, mergeInputCount);
+                allUtxos = await getWalletUTXOs(amounts.totalRequiredAmount);
+            }
+            handle.throwIfCancelled();
             showToast('Please confirm merge transaction in wallet...', 'info');
-            const mergeResult = await buildChunkedUploadMergeTx(
+            const newMergeResult = await buildChunkedUploadMergeTx(
                 allUtxos,
                 chunkPreTxOutputAmount,
                 indexPreTxOutputAmount,
-                mergeTxFee
+                amounts.mergeTxFee
             );
+            mergeResult = {
+                ...newMergeResult,
+                chunkPreTxOutputAmount: chunkPreTxOutputAmount,
+                indexPreTxOutputAmount: indexPreTxOutputAmount
+            };
+        }
 
-            showToast('Please confirm pre-transactions in wallet...', 'info');
-
-            // Build chunk funding pre-tx using merge tx output
-            const chunkPreTxUtxo = {
-                utxos: [{
-                    txId: mergeResult.mergeTxId,
-                    outputIndex: mergeResult.chunkPreTxOutputIndex,
-                    script: mergeResult.chunkPreTxScript,
-                    satoshis: chunkPreTxOutputAmount
-                }],
-                totalAmount: chunkPreTxOutputAmount
+        showToast('Please confirm pre-transactions in wallet...', 'info');
+
+        // Build chunk funding pre-tx using merge tx output
+        const chunkPreTxUtxo = {
+            utxos: [{
+                txId: mergeResult.mergeTxId,
+                outputIndex: mergeResult.chunkPreTxOutputIndex,
+                script: mergeResult.chunkPreTxScript,
+                satoshis: mergeResult.chunkPreTxOutputAmount
+            }],
+            totalAmount: mergeResult.chunkPreTxOutputAmount
+        };
+        const chunkPreTxHex = await buildChunkFundingPreTx(chunkPreTxUtxo, estimateResult.chunkPreTxFee);
+
+        // Build index pre-tx using merge tx output
+        const indexPreTxUtxo = {
+            utxos: [{
+                txId: mergeResult.mergeTxId,
+                outputIndex: mergeResult.indexPreTxOutputIndex,
+                script: mergeResult.indexPreTxScript,
+                satoshis: mergeResult.indexPreTxOutputAmount
+            }],
+            totalAmount: mergeResult.indexPreTxOutputAmount
+        };
+        const indexPreTxHex = await buildIndexPreTx(indexPreTxUtxo, estimateResult.indexPreTxFee);
+
+        return {
+            mergeTxId: mergeResult.mergeTxId,
+            mergeTxHex: mergeResult.mergeTxHex || '',
+            chunkPreTxHex: chunkPreTxHex,
+            indexPreTxHex: indexPreTxHex
+        };
+    }
+
+    // Find the chunk / index funding outputs (0 and 1) of an earlier merge tx in the wallet's UTXOs.
+    // Returns null when either was spent (its pre-tx was broadcast) or is too small for the new estimate.
+    async function getReusableMergeOutputs(mergeTxId, chunkPreTxOutputAmount, indexPreTxOutputAmount) {
+        try {
+            const mvc = getMvc();
+            const utxos = await window.metaidwallet.getUtxos();
+            const findOutput = (outIndex) => (utxos || []).find(utxo => utxo.txid === mergeTxId && utxo.outIndex === outIndex);
+            const chunkOutput = findOutput(0);
+            const indexOutput = findOutput(1);
+
+            if (!chunkOutput || !indexOutput) return null;
+            if (chunkOutput.value < chunkPreTxOutputAmount || indexOutput.value < indexPreTxOutputAmount) return null;
+
+            return {
+                mergeTxId: mergeTxId,
+                mergeTxHex: '',
+                chunkPreTxOutputIndex: 0,
+                indexPreTxOutputIndex: 1,
+                chunkPreTxScript: mvc.Script.buildPublicKeyHashOut(chunkOutput.address).toHex(),
+                indexPreTxScript: mvc.Script.buildPublicKeyHashOut(indexOutput.address).toHex(),
+                chunkPreTxOutputAmount: chunkOutput.value,
+                indexPreTxOutputAmount: indexOutput.value
             };
-            const chunkPreTxHex = await buildChunkFundingPreTx(chunkPreTxUtxo, estimateResult.chunkPreTxFee);
-
-            // Build index pre-tx using merge tx output
-            const indexPreTxUtxo = {
-                utxos: [{
-                    txId: mergeResult.mergeTxId,
-                    outputIndex: mergeResult.indexPreTxOutputIndex,
-                    script: mergeResult.indexPreTxScript,
-                    satoshis: indexPreTxOutputAmount
-                }],
-                totalAmount: indexPreTxOutputAmount
+        } catch (error) {
+            console.warn('⚠️ Could not check earlier merge outputs, building a new merge tx:', error.message);
+            return null;
+        }
+    }
+
+    // Retry a failed task: reuse its storageKey (if the server still has the file), re-estimate at the
+    // current fee rate, rebuild only the transactions that were not broadcast, and submit a new task
+    // linked to the original through retryOfTaskId.
+    async function retryChunkTask(failedTask, { handle = createUploadHandle() } = {}) {
+        const toastObj = getToast();
+        const userStore = getUserStore();
+        if (!toastObj || !userStore) throw new Error('Required dependencies (toast, userStore) are not available');
+        const { showToast } = toastObj;
+
+        try {
+            if ((failedTask.status || '').toLowerCase() !== 'failed') {
+                throw new Error('Only failed tasks can be retried');
+            }
+
+            // The session recorded when the task was submitted carries the storageKey and merge tx
+            const sessions = await getSessionStore().listSessions({ address: userStore.last.address });
+            const session = sessions.find(item => item.taskId === failedTask.taskId) || null;
+            const storageKey = failedTask.storageKey || (session && session.storageKey);
+            if (!storageKey) {
+                throw new Error('The uploaded file for this task is unknown, please upload it again');
+            }
+
+            // Estimate / task requests only need the file's name and type; the size is only shown in the review
+            const file = {
+                name: failedTask.fileName || (session && session.fileName) || 'file',
+                type: (session && session.fileType) || (failedTask.contentType || '').replace(/;binary$/, ''),
+                size: (session && session.fileSize) || failedTask.fileSize || failedTask.size || 0
             };
-            const indexPreTxHex = await buildIndexPreTx(indexPreTxUtxo, estimateResult.indexPreTxFee);
 
-            if (asynchronous) {
-                
-                await createChunkedUploadTask(file, null, storageKey, chunkPreTxHex, indexPreTxHex, mergeResult.mergeTxHex);
-                showToast('🎉 Async chunk upload task created! Monitor progress in task list.', 'success');
+            let estimateResult;
+            // Keep the pin fields of the original upload
+            const pinOptions = normalizePinOptions((session && session.pinOptions) || undefined);
 
-                const { chunkTaskSection } = getTaskElements();
-                if (chunkTaskSection) {
-                    chunkTaskSection.classList.remove('hidden');
-                }
-                loadChunkTasks({ append: false, silent: true });
+            try {
+                estimateResult = await estimateChunkedUploadFee(file, null, storageKey, handle.signal, pinOptions);
+            } catch (error) {
+                throw new Error(`The server no longer holds the uploaded file, please upload it again (${error.message})`);
+            }
+            if (!file.size) {
+                Object.assign(file, getEstimatedFileSize(estimateResult));
+            }
+
+            // Reused merge outputs save the merge tx signature
+            const mergeTxId = failedTask.mergeTxId || (session && session.mergeTxId);
+            const initialAmounts = calculateChunkedUploadAmounts(estimateResult, getChainStore().mvcFeeRate() || 1);
+            const reusable = mergeTxId
+                ? await getReusableMergeOutputs(mergeTxId, initialAmounts.chunkPreTxOutputAmount, initialAmounts.indexPreTxOutputAmount)
+                : null;
+
+            const review = await showChunkedUploadConfirmation(file, estimateResult, {
+                reEstimate: () => estimateChunkedUploadFee(file, null, storageKey, handle.signal, pinOptions),
+                walletSignatures: reusable ? 2 : 3
+            });
+            if (!review.confirmed) {
+                throw new Error('Chunked upload retry user cancelled');
+            }
+            handle.throwIfCancelled();
+            estimateResult = review.estimateResult;
+
+            const transactions = await buildChunkedUploadTransactions(estimateResult, handle, mergeTxId);
+            handle.throwIfCancelled();
+
+            const task = await createChunkedUploadTask(file, null, storageKey, transactions.chunkPreTxHex, transactions.indexPreTxHex, transactions.mergeTxHex, {
+                ...getPinRequestFields(pinOptions),
+                retryOfTaskId: failedTask.taskId
+            });
+
+            if (session) {
+                await getSessionStore().updateSession(session.id, current => ({
+                    ...current,
+                    status: 'submitted',
+                    taskId: task && task.taskId,
+                    retryOfTaskId: failedTask.taskId,
+                    mergeTxId: transactions.mergeTxId,
+                    feeEstimate: estimateResult
+                }));
+            }
+
+            const taskStore = getTaskStore();
+            if (taskStore) {
+                taskStore.addTask({
+                    fileName: file.name,
+                    status: 'pending',
+                    createdAt: Date.now(),
+                    retryOfTaskId: failedTask.taskId,
+                    ...task
+                });
+            }
+
+            showToast('🔁 Retry task created', 'success');
+            return task;
+        } catch (error) {
+            console.error('❌ Failed to retry chunked upload task:', error);
+            if (handle.cancelled || (error.message && error.message.includes('user cancelled'))) {
+                showToast('Task retry cancelled', 'warning');
             } else {
-                
-                // Synchronous upload with progress tracking
-                const baseProgress = 50;
-                const uploadProgressRange = 40; // 50% to 90%
-                const totalTransactions = chunkedUploadChunkNumber + 1; // chunks + index transaction
-                const estimatedTotalSeconds = totalTransactions * 3; // 3 seconds per transaction
-                const progressPerSecond = uploadProgressRange / estimatedTotalSeconds;
-
-                let currentProgress = baseProgress;
-                let elapsedSeconds = 0;
-                let progressInterval = null;
-                let isApiReturned = false;
-
-                // Start progress simulation timer
-                progressInterval = setInterval(() => {
-                    if (isApiReturned) {
-                        clearInterval(progressInterval);
-                        return;
-                    }
+                showToast('Task retry failed: ' + error.message, 'error');
+            }
+            throw error;
+        }
+    }
 
-                    elapsedSeconds++;
-                    currentProgress = baseProgress + (progressPerSecond * elapsedSeconds);
+    // List the current user's upload sessions (newest first, stale ones flagged)
+    async function listUploadSessions() {
+        const userStore = getUserStore();
+        if (!userStore) throw new Error('UserStore not available');
+        return getSessionStore().listSessions({ address: userStore.last.address });
+    }
 
-                    if (currentProgress >= 90) {
-                        currentProgress = 90;
-                        clearInterval(progressInterval);
-                        return;
-                    }
-                }, 1000);
+    // Discard a session: abort its server-side multipart upload unless it was submitted (a failed
+    // task may still be retried from the stored file), then forget it
+    async function discardUploadSession(session) {
+        if (session.status !== 'submitted' && session.uploadId && session.key) {
+            await abortMultipartUpload(session.uploadId, session.key);
+        }
+        await getSessionStore().deleteSession(session.id);
+    }
 
-                let uploadResult;
-                try {
-                    uploadResult = await chunkedUpload(file, null, storageKey, chunkPreTxHex, indexPreTxHex, mergeResult.mergeTxHex);
+    // Reattach a file to a stored session (e.g. after a browser restart) and resume the flow.
+    // The file must have the same contents as the one the session was created for; for an encrypted
+    // session that is the ciphertext, encrypted again with session.encryptedSource.
+    async function resumeUploadSession(session, file, options = {}) {
+        const userStore = getUserStore();
+        if (!userStore) throw new Error('UserStore not available');
+        if (session.address !== userStore.last.address) {
+            throw new Error('This upload session belongs to another address');
+        }
+        if (session.fileSize !== file.size) {
+            throw new Error('Selected file does not match this upload session');
+        }
 
-                    isApiReturned = true;
-                    if (progressInterval) {
-                        clearInterval(progressInterval);
-                        progressInterval = null;
-                    }
-                } catch (error) {
-                    isApiReturned = true;
-                    if (progressInterval) {
-                        clearInterval(progressInterval);
-                        progressInterval = null;
-                    }
-                    throw error;
-                }
+        const fingerprint = await computeFileFingerprint(file, options.handle && options.handle.signal, createHashProgressReporter(options.onProgress));
+        if (fingerprint.fileHash !== session.fileHash) {
+            throw new Error('Selected file does not match this upload session');
+        }
 
-                if (uploadResult.status === 'failed') {
-                    const errorMessage = uploadResult.message || 'Upload failed with unknown error';
-                    throw new Error(errorMessage);
-                }
+        // Pin fields chosen when the session was submitted win over the caller's defaults
+        const encryptedSource = session.encryptedSource || null;
+        return runChunkedUploadFlow({
+            ...options,
+            ...(encryptedSource ? { encryption: true } : {}),
+            ...(session.pinOptions || {}),
+            file,
+            fingerprint,
+            encryptedSource
+        });
+    }
+
+    // Adapt onProgress({ stage, loaded, total }) to the fingerprint progress callback
+    function createHashProgressReporter(onProgress) {
+        if (typeof onProgress !== 'function') return undefined;
+        return ({ loaded, total }) => onProgress({ stage: 'hashing', loaded, total });
+    }
+
+    // Read a file slice as ArrayBuffer
+    function readChunkAsArrayBuffer(chunk) {
+        return new Promise((resolve, reject) => {
+            const fileReader = new FileReader();
+            fileReader.onload = () => resolve(fileReader.result);
+            fileReader.onerror = reject;
+            fileReader.readAsArrayBuffer(chunk);
+        });
+    }
+
+    // Compute the SHA-256 of the whole file and of every multipart part in a single streaming pass.
+    // The file hash identifies the resume session, part hashes validate parts before they are skipped.
+    async function computeFileFingerprint(file, signal, onProgress) {
+        // Hash in the upload worker when possible so large files do not block the page
+        const uploadWorker = getUploadWorker();
+        if (uploadWorker && await uploadWorker.isAvailable()) {
+            return uploadWorker.computeFingerprint(file, {
+                partSize: MULTIPART_CHUNK_SIZE,
+                signal: signal,
+                onProgress: onProgress
+            });
+        }
+
+        const CryptoJS = getCryptoJS();
+        if (!CryptoJS) throw new Error('CryptoJS library not available');
+
+        const sha256Algo = CryptoJS.algo.SHA256.create();
+        const partHashes = [];
+
+        for (let start = 0; start < file.size; start += MULTIPART_CHUNK_SIZE) {
+            if (signal && signal.aborted) {
+                throw createCancelError();
+            }
+            const buffer = await readChunkAsArrayBuffer(file.slice(start, start + MULTIPART_CHUNK_SIZE));
+            const wordArray = CryptoJS.lib.WordArray.create(buffer);
+            sha256Algo.update(wordArray);
+            partHashes.push(CryptoJS.SHA256(wordArray).toString(CryptoJS.enc.Hex));
+            if (typeof onProgress === 'function') {
+                onProgress({ loaded: Math.min(start + MULTIPART_CHUNK_SIZE, file.size), total: file.size });
+            }
+        }
+
+        return {
+            fileHash: sha256Algo.finalize().toString(CryptoJS.enc.Hex),
+            partHashes: partHashes
+        };
+    }
+
+    // A server-side part can be skipped only if it matches what this file would upload
+    function isResumablePart(serverPart, storedPart, expectedChecksum, expectedSize) {
+        if (!storedPart) return false;
+        if (storedPart.checksum !== expectedChecksum || storedPart.size !== expectedSize) return false;
+        return !serverPart.etag || !storedPart.etag || serverPart.etag === storedPart.etag;
+    }
+
+    // Read a file slice as base64 (without the data URL prefix)
+    async function readChunkAsBase64(chunk) {
+        const uploadWorker = getUploadWorker();
+        if (uploadWorker && await uploadWorker.isAvailable()) {
+            return uploadWorker.encodeBase64(chunk);
+        }
 
-                showToast(`🎉 File uploaded successfully!`, 'success');
-                console.log('📝 Upload complete with pinId:', uploadResult.indexTxId + 'i0');
-                return {
-                    txId:uploadResult.indexTxId,
-                    pinId:`${uploadResult.indexTxId}i0`
+        return new Promise((resolve, reject) => {
+            const fileReader = new FileReader();
+            fileReader.onload = () => {
+                const base64 = fileReader.result.split(',')[1] || fileReader.result;
+                resolve(base64);
+            };
+            fileReader.onerror = reject;
+            fileReader.readAsDataURL(chunk);
+        });
+    }
+
+    // Build an upload error tagged as transient (worth retrying) or fatal
+    function createPartError(message, { transient = false, status = 0, retryAfter = 0 } = {}) {
+        const error = new Error(message);
+        error.transient = transient;
+        error.status = status;
+        error.retryAfter = retryAfter;
+        return error;
+    }
+
+    // Classify a failed HTTP response: network-side 5xx and 429 are transient, other 4xx are fatal
+    function isTransientHttpStatus(status) {
+        return status === 429 || status >= 500;
+    }
+
+    // Classify a business error (code !== 0): known messages are fatal, anything else is retried
+    function isFatalPartMessage(message = '') {
+        return FATAL_PART_ERROR_PATTERNS.some(pattern => pattern.test(message));
+    }
+
+    // Backoff delay for the given retry attempt (1-based), with full jitter in [delay/2, delay]
+    function getRetryDelay(attempt, error) {
+        const delay = Math.min(MULTIPART_RETRY_MAX_DELAY, MULTIPART_RETRY_BASE_DELAY * Math.pow(2, attempt - 1));
+        const jittered = delay / 2 + Math.random() * (delay / 2);
+        return Math.max(jittered, (error && error.retryAfter) || 0);
+    }
+
+    // Sleep that rejects early when the upload is cancelled
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createCancelError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createCancelError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    function createCancelError() {
+        const error = new Error('Upload user cancelled');
+        error.cancelled = true;
+        return error;
+    }
+
+    // Create a handle to pause, resume or cancel an in-flight chunked upload.
+    // Pass it as options.handle to runChunkedUploadFlow / uploadFileToOSS.
+    // Pausing lets in-flight parts finish and holds the pool before the next part;
+    // cancelling aborts every pending request through the handle's AbortSignal.
+    function createUploadHandle({ onStateChange } = {}) {
+        const controller = new AbortController();
+        let paused = false;
+        let resumeWaiters = [];
+        let abortServer = true;
+
+        const setState = (state) => {
+            if (typeof onStateChange === 'function') {
+                onStateChange(state);
+            }
+        };
+
+        const handle = {
+            signal: controller.signal,
+            get paused() {
+                return paused;
+            },
+            get cancelled() {
+                return controller.signal.aborted;
+            },
+            // Whether cancel() asked to abort the server-side multipart upload
+            get abortServer() {
+                return abortServer;
+            },
+            pause() {
+                if (paused || controller.signal.aborted) return;
+                paused = true;
+                setState('paused');
+            },
+            resume() {
+                if (!paused) return;
+                paused = false;
+                resumeWaiters.forEach(resolve => resolve());
+                resumeWaiters = [];
+                if (!controller.signal.aborted) {
+                    setState('uploading');
                 }
+            },
+            // options.abortServer: abort the multipart upload on the server and clear the resume session (default true)
+            cancel(options = {}) {
+                if (controller.signal.aborted) return;
+                abortServer = options.abortServer !== false;
+                controller.abort();
+                paused = false;
+                resumeWaiters.forEach(resolve => resolve());
+                resumeWaiters = [];
+                setState('cancelled');
+            },
+            throwIfCancelled() {
+                if (controller.signal.aborted) {
+                    throw createCancelError();
+                }
+            },
+            async waitIfPaused() {
+                while (paused && !controller.signal.aborted) {
+                    await new Promise(resolve => resumeWaiters.push(resolve));
+                }
+                handle.throwIfCancelled();
             }
+        };
+
+        return handle;
+    }
+
+    // The initiate response lists the part encodings the backend accepts, e.g. { partEncodings: ['json', 'binary'] }
+    function getSupportedPartEncoding(initiateData) {
+        const encodings = (initiateData && initiateData.partEncodings) || [];
+        return encodings.includes(PART_ENCODING_BINARY) ? PART_ENCODING_BINARY : PART_ENCODING_JSON;
+    }
+
+    // Build the upload-part request for the given encoding.
+    // Binary mode streams the file slice as-is and passes the part metadata in the query string.
+    async function buildUploadPartRequest(chunk, uploadId, key, partNumber, encoding) {
+        if (encoding === PART_ENCODING_BINARY) {
+            const query = new URLSearchParams({
+                uploadId: uploadId,
+                key: key,
+                partNumber: String(partNumber)
+            });
+            return {
+                url: `${getApiBase()}/api/v1/files/multipart/upload-part?${query.toString()}`,
+                headers: {
+                    'Content-Type': 'application/octet-stream'
+                },
+                body: chunk
+            };
+        }
+
+        const chunkBase64 = await readChunkAsBase64(chunk);
+        return {
+            url: `${getApiBase()}/api/v1/files/multipart/upload-part`,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                uploadId: uploadId,
+                key: key,
+                partNumber: partNumber,
+                content: chunkBase64
+            })
+        };
+    }
+
+    // Upload a single multipart part and return its etag (one attempt)
+    async function uploadMultipartPart(file, uploadId, key, partNumber, signal, encoding = PART_ENCODING_JSON) {
+        const start = (partNumber - 1) * MULTIPART_CHUNK_SIZE;
+        const end = Math.min(start + MULTIPART_CHUNK_SIZE, file.size);
+        const request = await buildUploadPartRequest(file.slice(start, end), uploadId, key, partNumber, encoding);
+
+        let uploadPartResponse;
+        try {
+            uploadPartResponse = await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: request.body,
+                signal: signal
+            });
         } catch (error) {
-            console.error('❌ Chunked upload flow failed:', error);
+            if (signal && signal.aborted) {
+                throw createCancelError();
+            }
+            // fetch only rejects on network failures
+            throw createPartError(`Network error: ${error.message}`, { transient: true });
+        }
 
-            if (error.message && error.message.includes('user cancelled')) {
-                showToast(`${flowLabel} cancelled`, 'warning');
-            } else {
-                showToast(`${flowLabel} failed: ` + error.message, 'error');
+        if (!uploadPartResponse.ok) {
+            const status = uploadPartResponse.status;
+            if (encoding === PART_ENCODING_BINARY && BINARY_UNSUPPORTED_STATUSES.includes(status)) {
+                const error = createPartError(`HTTP ${status}`, { status: status });
+                error.binaryUnsupported = true;
+                throw error;
+            }
+            const retryAfterHeader = uploadPartResponse.headers && uploadPartResponse.headers.get('Retry-After');
+            throw createPartError(`HTTP ${status}`, {
+                transient: isTransientHttpStatus(status),
+                status: status,
+                retryAfter: retryAfterHeader ? (Number(retryAfterHeader) || 0) * 1000 : 0
+            });
+        }
+
+        const uploadPartResult = await uploadPartResponse.json();
+        if (uploadPartResult.code !== 0) {
+            const message = uploadPartResult.message || 'Unknown error';
+            throw createPartError(message, { transient: !isFatalPartMessage(message) });
+        }
+
+        return uploadPartResult.data.etag;
+    }
+
+    // Upload a single multipart part, retrying transient failures with exponential backoff.
+    // transfer.encoding is shared by all workers of one upload; when the backend rejects
+    // binary parts it is switched to JSON once and the part is sent again straight away.
+    async function uploadMultipartPartWithRetry(file, uploadId, key, partNumber, maxRetries = MULTIPART_PART_MAX_RETRIES, signal, transfer = { encoding: PART_ENCODING_JSON }) {
+        let attempt = 0;
+
+        while (true) {
+            attempt++;
+            const encoding = transfer.encoding;
+            try {
+                return await uploadMultipartPart(file, uploadId, key, partNumber, signal, encoding);
+            } catch (error) {
+                if (error.cancelled) {
+                    throw error;
+                }
+                if (error.binaryUnsupported) {
+                    if (transfer.encoding === PART_ENCODING_BINARY) {
+                        console.warn(`⚠️ Binary part upload rejected (${error.message}), falling back to JSON`);
+                        transfer.encoding = PART_ENCODING_JSON;
+                        if (typeof transfer.onFallback === 'function') {
+                            await transfer.onFallback();
+                        }
+                    }
+                    attempt--;
+                    continue;
+                }
+                if (!error.transient || attempt > maxRetries) {
+                    const partError = new Error(`Failed to upload part ${partNumber} after ${attempt} attempt(s): ${error.message}`);
+                    partError.partNumber = partNumber;
+                    partError.attempts = attempt;
+                    partError.transient = !!error.transient;
+                    throw partError;
+                }
+
+                const delay = getRetryDelay(attempt, error);
+                console.warn(`⚠️ Part ${partNumber} failed (${error.message}), retry ${attempt}/${maxRetries} in ${Math.round(delay)}ms`);
+                await wait(delay, signal);
             }
         }
     }
 
+    // Abort a multipart upload on the server so its parts are released (best effort)
+    async function abortMultipartUpload(uploadId, key) {
+        try {
+            const response = await fetch(`${getApiBase()}/api/v1/files/multipart/abort`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    uploadId: uploadId,
+                    key: key
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (result.code !== 0) {
+                throw new Error(result.message || 'Failed to abort multipart upload');
+            }
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Failed to abort multipart upload:', error.message);
+            return false;
+        }
+    }
+
     // Upload file to OSS using multipart upload with resume support
-    async function uploadFileToOSS(file) {
+    // options.concurrency: number of parts uploaded in parallel (default MULTIPART_UPLOAD_CONCURRENCY)
+    // options.maxRetries: retries per part for transient errors (default MULTIPART_PART_MAX_RETRIES)
+    // options.handle: upload handle from createUploadHandle() for pause/resume/cancel
+    // options.fingerprint: precomputed computeFileFingerprint(file) result
+    // options.encryptedSource: stored with a new session when file is ciphertext:
+    //   { fileHash, fileName, fileType, fileSize } of the plaintext, the wrappedKey and noncePrefix it was
+    //   encrypted with, and the share recipients
+    // options.onProgress: called with { stage: 'uploading', loaded, total } (bytes) after each part
+    async function uploadFileToOSS(file, options = {}) {
+        const handle = options.handle || createUploadHandle();
+        const signal = handle.signal;
+        let uploadId, key;
+        let metaId, currentAddress, fileHash;
+        let partEncoding = PART_ENCODING_JSON;
+
         try {
             const userStore = getUserStore();
             if (!userStore) throw new Error('UserStore not available');
-            const metaId = userStore.last.metaid;
-            const currentAddress = userStore.last.address;
+            metaId = userStore.last.metaid;
+            currentAddress = userStore.last.address;
 
             // Show upload progress
             showOSSUploadProgress();
 
+            // Fingerprint the file contents so the resume session follows the data, not the file name
+            const fingerprint = options.fingerprint || await computeFileFingerprint(file, signal);
+            fileHash = fingerprint.fileHash;
+            const partHashes = fingerprint.partHashes;
+
             // Check for existing upload session (resume support)
-            let existingSession = getUploadSession(file, metaId, currentAddress);
-            let uploadId, key;
+            let existingSession = await getUploadSession(fileHash, metaId, currentAddress);
             let existingParts = [];
 
+            // The file already reached OSS in an earlier attempt: reuse its storage key
+            if (existingSession && existingSession.status !== 'uploading' && existingSession.storageKey) {
+                hideOSSUploadProgress();
+                return existingSession.storageKey;
+            }
+
             if (existingSession) {
                 uploadId = existingSession.uploadId;
                 key = existingSession.key;
+                partEncoding = existingSession.partEncoding || PART_ENCODING_JSON;
 
                 // List existing parts
                 try {
-                    const listPartsResponse = await fetch(`${API_BASE}/api/v1/files/multipart/list-parts`, {
+                    const listPartsResponse = await fetch(`${getApiBase()}/api/v1/files/multipart/list-parts`, {
                         method: 'POST',
                         headers: {
                             'Content-Type': 'application/json'
@@ -347,7 +982,8 @@ const useChunkUpload = (dependencies = {}) => {
                         body: JSON.stringify({
                             uploadId: uploadId,
                             key: key
-                        })
+                        }),
+                        signal: signal
                     });
                     
                     if (listPartsResponse.ok) {
@@ -357,13 +993,14 @@ const useChunkUpload = (dependencies = {}) => {
                         }
                     }
                 } catch (e) {
+                    handle.throwIfCancelled();
                     existingSession = null;
                 }
             }
 
             // If no existing session or resume failed, initiate new upload
             if (!existingSession || existingParts.length === 0) {
-                const initiateResponse = await fetch(`${API_BASE}/api/v1/files/multipart/initiate`, {
+                const initiateResponse = await fetch(`${getApiBase()}/api/v1/files/multipart/initiate`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
@@ -373,7 +1010,8 @@ const useChunkUpload = (dependencies = {}) => {
                         fileSize: file.size,
                         metaId: metaId,
                         address: currentAddress
-                    })
+                    }),
+                    signal: signal
                 });
 
                 if (!initiateResponse.ok) {
@@ -387,15 +1025,20 @@ const useChunkUpload = (dependencies = {}) => {
 
                 uploadId = initiateResult.data.uploadId;
                 key = initiateResult.data.key;
+                partEncoding = getSupportedPartEncoding(initiateResult.data);
                 existingParts = [];
 
-                // Save session to localStorage
-                saveUploadSession(file, metaId, currentAddress, uploadId, key);
+                // Save session to IndexedDB
+                await saveUploadSession(file, fileHash, metaId, currentAddress, uploadId, key, partEncoding, options.encryptedSource);
             }
 
             // Step 2: Upload parts (skip already uploaded parts)
             const totalParts = Math.ceil(file.size / MULTIPART_CHUNK_SIZE);
             const totalBytes = file.size;
+            const getPartSize = (partNumber) => {
+                const start = (partNumber - 1) * MULTIPART_CHUNK_SIZE;
+                return Math.min(start + MULTIPART_CHUNK_SIZE, file.size) - start;
+            };
 
             // Create a map of existing parts by part number
             const existingPartsMap = new Map();
@@ -403,89 +1046,133 @@ const useChunkUpload = (dependencies = {}) => {
                 existingPartsMap.set(part.partNumber, part);
             });
 
-            const parts = [];
+            // Parts are stored by index so they stay ordered even when uploads finish out of order
+            const parts = new Array(totalParts);
+            const pendingPartNumbers = [];
             let uploadedBytes = 0;
+            let completedParts = 0;
 
-            // Initial progress update
-            updateOSSUploadProgress(0, totalParts, uploadedBytes, totalBytes);
+            const storedParts = (existingSession && existingSession.parts) || {};
 
             for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
-                const start = (partNumber - 1) * MULTIPART_CHUNK_SIZE;
-                const end = Math.min(start + MULTIPART_CHUNK_SIZE, file.size);
-                const partSize = end - start;
+                const partSize = getPartSize(partNumber);
 
-                // Check if this part was already uploaded
-                if (existingPartsMap.has(partNumber)) {
-                    const existingPart = existingPartsMap.get(partNumber);
-                    parts.push({
+                // Check if this part was already uploaded with the same contents
+                if (existingPartsMap.has(partNumber) &&
+                    isResumablePart(existingPartsMap.get(partNumber), storedParts[partNumber], partHashes[partNumber - 1], partSize)) {
+                    parts[partNumber - 1] = {
                         partNumber: partNumber,
-                        etag: existingPart.etag,
+                        etag: existingPartsMap.get(partNumber).etag,
                         size: partSize
-                    });
+                    };
                     uploadedBytes += partSize;
-
-                    // Update progress for skipped part
-                    updateOSSUploadProgress(partNumber, totalParts, uploadedBytes, totalBytes);
-                    continue;
+                    completedParts++;
+                } else {
+                    if (existingPartsMap.has(partNumber)) {
+                        console.warn(`⚠️ Part ${partNumber} does not match stored checksum, re-uploading`);
+                    }
+                    pendingPartNumbers.push(partNumber);
                 }
+            }
 
-                // Upload this part
-                const chunk = file.slice(start, end);
-
-                // Read chunk as base64
-                const chunkBase64 = await new Promise((resolve, reject) => {
-                    const fileReader = new FileReader();
-                    fileReader.onload = () => {
-                        const base64 = fileReader.result.split(',')[1] || fileReader.result;
-                        resolve(base64);
-                    };
-                    fileReader.onerror = reject;
-                    fileReader.readAsDataURL(chunk);
-                });
-
-                // Upload part
-                const uploadPartResponse = await fetch(`${API_BASE}/api/v1/files/multipart/upload-part`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        uploadId: uploadId,
-                        key: key,
-                        partNumber: partNumber,
-                        content: chunkBase64
-                    })
-                });
-
-                if (!uploadPartResponse.ok) {
-                    throw new Error(`Failed to upload part ${partNumber}: HTTP ${uploadPartResponse.status}`);
+            const reportProgress = () => {
+                updateOSSUploadProgress(completedParts, totalParts, uploadedBytes, totalBytes);
+                if (typeof options.onProgress === 'function') {
+                    options.onProgress({ stage: 'uploading', loaded: uploadedBytes, total: totalBytes });
                 }
+            };
 
-                const uploadPartResult = await uploadPartResponse.json();
-                if (uploadPartResult.code !== 0) {
-                    throw new Error(uploadPartResult.message || `Failed to upload part ${partNumber}`);
+            // Initial progress update (includes resumed parts)
+            reportProgress();
+
+            // Upload pending parts with a worker pool
+            const concurrency = Math.max(1, Math.min(options.concurrency || MULTIPART_UPLOAD_CONCURRENCY, pendingPartNumbers.length));
+            const maxRetries = options.maxRetries ?? MULTIPART_PART_MAX_RETRIES;
+            let nextPendingIndex = 0;
+            let poolFailed = false;
+            const transfer = {
+                encoding: partEncoding,
+                // Remember the downgrade so a resumed upload does not try binary parts again
+                onFallback: () => updateUploadSession(fileHash, metaId, currentAddress, { partEncoding: PART_ENCODING_JSON })
+            };
+            console.log(`📦 Uploading ${pendingPartNumbers.length} part(s) as ${partEncoding}`);
+
+            // In-flight parts share one controller: the first failure aborts the others, and so does
+            // cancelling the handle
+            const partsController = new AbortController();
+            const abortParts = () => partsController.abort();
+            signal.addEventListener('abort', abortParts, { once: true });
+            const inFlightParts = new Set();
+
+            // Upload one part and record it in the session, unless the pool was aborted in the meantime
+            const uploadPart = async (partNumber, partSize) => {
+                const etag = await uploadMultipartPartWithRetry(file, uploadId, key, partNumber, maxRetries, partsController.signal, transfer);
+                if (partsController.signal.aborted) {
+                    throw createCancelError();
                 }
-
-                parts.push({
+                parts[partNumber - 1] = {
                     partNumber: partNumber,
-                    etag: uploadPartResult.data.etag,
+                    etag: etag,
                     size: partSize
+                };
+                await saveUploadedPart(fileHash, metaId, currentAddress, partNumber, {
+                    etag: etag,
+                    size: partSize,
+                    checksum: partHashes[partNumber - 1]
                 });
+            };
 
-                uploadedBytes += partSize;
+            const uploadWorker = async () => {
+                while (!poolFailed && nextPendingIndex < pendingPartNumbers.length) {
+                    let partNumber, partSize, request;
+
+                    try {
+                        // Hold here while the upload is paused
+                        await handle.waitIfPaused();
+                        if (poolFailed || nextPendingIndex >= pendingPartNumbers.length) break;
+
+                        partNumber = pendingPartNumbers[nextPendingIndex++];
+                        partSize = getPartSize(partNumber);
+
+                        request = uploadPart(partNumber, partSize);
+                        inFlightParts.add(request);
+                        await request;
+                    } catch (error) {
+                        // Stop the other workers from picking up new parts and abort the ones in flight
+                        poolFailed = true;
+                        partsController.abort();
+                        throw error;
+                    } finally {
+                        inFlightParts.delete(request);
+                    }
 
-                // Update progress after uploading each part
-                updateOSSUploadProgress(partNumber, totalParts, uploadedBytes, totalBytes);
-            }
+                    uploadedBytes += partSize;
+                    completedParts++;
 
-            // Sort parts by part number (required for completion)
-            parts.sort((a, b) => a.partNumber - b.partNumber);
+                    // Update progress after each part, in completion order
+                    reportProgress();
+                }
+            };
+
+            const workers = [];
+            for (let i = 0; i < concurrency; i++) {
+                workers.push(uploadWorker());
+            }
+            try {
+                await Promise.all(workers);
+            } catch (error) {
+                // Let the aborted parts settle, so none of them touches the session after the caller sees the error
+                await Promise.allSettled(Array.from(inFlightParts));
+                throw error;
+            } finally {
+                signal.removeEventListener('abort', abortParts);
+            }
 
             // Step 3: Complete multipart upload
             // Update status to completing
             updateOSSUploadProgress(totalParts, totalParts, totalBytes, totalBytes);
 
-            const completeResponse = await fetch(`${API_BASE}/api/v1/files/multipart/complete`, {
+            const completeResponse = await fetch(`${getApiBase()}/api/v1/files/multipart/complete`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -494,7 +1181,8 @@ const useChunkUpload = (dependencies = {}) => {
                     uploadId: uploadId,
                     key: key,
                     parts: parts
-                })
+                }),
+                signal: signal
             });
 
             if (!completeResponse.ok) {
@@ -508,35 +1196,50 @@ const useChunkUpload = (dependencies = {}) => {
 
             const storageKey = completeResult.data.key;
 
-            // Clear upload session from localStorage after successful completion
-            clearUploadSession(file, metaId, currentAddress);
+            // Keep the session with its storage key until the on-chain upload is submitted
+            await updateUploadSession(fileHash, metaId, currentAddress, {
+                status: 'uploaded',
+                storageKey: storageKey
+            });
 
             // Hide upload progress on success
             hideOSSUploadProgress();
 
             return storageKey;
         } catch (error) {
-            console.error('❌ Failed to upload file to OSS:', error);
-
             // Hide upload progress on error
             hideOSSUploadProgress();
 
+            if (error.cancelled || handle.cancelled) {
+                console.warn('⚠️ OSS upload cancelled');
+                if (handle.abortServer) {
+                    if (uploadId && key) {
+                        await abortMultipartUpload(uploadId, key);
+                    }
+                    if (fileHash) {
+                        await clearUploadSession(fileHash, metaId, currentAddress);
+                    }
+                }
+                throw createCancelError();
+            }
+
+            console.error('❌ Failed to upload file to OSS:', error);
+
             throw new Error(`Failed to upload file to OSS: ${error.message}`);
         }
     }
 
     // Estimate chunked upload fee
-    async function estimateChunkedUploadFee(file, fileContentBase64, storageKey) {
+    async function estimateChunkedUploadFee(file, fileContentBase64, storageKey, signal, pinOptions = normalizePinOptions()) {
         
         try {
             const chainStore = getChainStore();
             if (!chainStore) throw new Error('ChainStore not available');
-            const path = '/file';
             const contentType = buildContentType(file);
 
             const requestBody = {
                 fileName: file.name,
-                path: path,
+                ...getPinRequestFields(pinOptions),
                 contentType: contentType,
                 feeRate: chainStore.mvcFeeRate() || 1
             };
@@ -550,13 +1253,9 @@ const useChunkUpload = (dependencies = {}) => {
                 throw new Error('Either storageKey or content must be provided');
             }
 
-            const requestOptions = await prepareJsonRequestBody(requestBody);
-            
-            const response = await fetch(`${API_BASE}/api/v1/files/estimate-chunked-upload`, {
-                method: 'POST',
-                headers: requestOptions.headers,
-                body: requestOptions.body,
-                 mode: 'cors',
+            const response = await postJsonRequest(`${getApiBase()}/api/v1/files/estimate-chunked-upload`, requestBody, {
+                mode: 'cors',
+                signal: signal
             });
 
             if (!response.ok) {
@@ -576,115 +1275,65 @@ const useChunkUpload = (dependencies = {}) => {
         }
     }
 
-    // Show chunked upload confirmation dialog
-    function showChunkedUploadConfirmation(file, estimateResult) {
-        return new Promise((resolve) => {
-            // Create modal dialog
-            const modal = document.createElement('div');
-            modal.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.5);
-                display: flex;
-                justify-content: center;
-                align-items: center;
-                z-index: 10001;
-            `;
-
-            const dialog = document.createElement('div');
-            dialog.style.cssText = `
-                background: white;
-                padding: 30px;
-                border-radius: 12px;
-                max-width: 600px;
-                width: 90%;
-                max-height: 80vh;
-                overflow-y: auto;
-                box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-            `;
-
-            dialog.innerHTML = `
-                <h2 style="margin-top: 0; color: #333;">📦 Chunked Upload Confirmation</h2>
-                <div style="margin: 20px 0;">
-                    <div style="margin: 10px 0;">
-                        <strong>📊 File Information:</strong>
-                        <ul style="margin: 5px 0; padding-left: 20px;">
-                            <li>File Name: ${file.name}</li>
-                            <li>File Size: ${formatFileSize(file.size)}</li>
-                            <li>Chunk Size: ${formatFileSize(estimateResult.chunkSize)}</li>
-                            <li>Number of Chunks: ${estimateResult.chunkNumber}</li>
-                        </ul>
-                    </div>
-                    <div style="margin: 10px 0;">
-                        <strong>💰 Fee Information:</strong>
-                        <ul style="margin: 5px 0; padding-left: 20px;">
-                            <li>Chunk Funding Fee: ${formatSatoshis(estimateResult.chunkPreTxFee)}</li>
-                            <li>Index Transaction Fee: ${formatSatoshis(estimateResult.indexPreTxFee)}</li>
-                            <li>Total Fee: ${formatSatoshis(estimateResult.totalFee)}</li>
-                            <li>Per Chunk Fee: ${formatSatoshis(estimateResult.perChunkFee)}</li>
-                        </ul>
-                    </div>
-                    <div style="margin: 10px 0; padding: 10px; background: #fff3cd; border-radius: 6px; border: 1px solid #ffc107;">
-                        <strong>⚠️ Important Notice:</strong>
-                        <p style="margin: 5px 0; font-size: 14px; color: #856404;">
-                            This large file will be split into ${estimateResult.chunkNumber} chunks.
-                            You need to confirm ${estimateResult.chunkNumber + 2} transactions:
-                            <br>1. Chunk funding transaction (${estimateResult.chunkNumber} outputs)
-                            <br>2. ${estimateResult.chunkNumber} chunk transactions
-                            <br>3. Index transaction
-                            <br><br>
-                            <strong>Please do not close the browser or refresh the page during upload!</strong>
-                        </p>
-                    </div>
-                </div>
-                <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;">
-                    <button id="cancelChunkedUpload" style="
-                        padding: 10px 20px;
-                        background: #ccc;
-                        color: #333;
-                        border: none;
-                        border-radius: 6px;
-                        cursor: pointer;
-                        font-size: 14px;
-                    ">Cancel</button>
-                    <button id="confirmChunkedUpload" style="
-                        padding: 10px 20px;
-                        background: #28a745;
-                        color: white;
-                        border: none;
-                        border-radius: 6px;
-                        cursor: pointer;
-                        font-size: 14px;
-                        font-weight: bold;
-                    ">Confirm & Start Upload</button>
-                </div>
-            `;
-
-            modal.appendChild(dialog);
-            document.body.appendChild(modal);
-
-            // Handle button clicks
-            document.getElementById('confirmChunkedUpload').addEventListener('click', () => {
-                document.body.removeChild(modal);
-                resolve(true);
-            });
+    // File size for a retry without a local session: the estimate reports it, or at least bounds it
+    // as chunkNumber full chunks (the last chunk may be shorter)
+    function getEstimatedFileSize(estimateResult) {
+        if (estimateResult.fileSize > 0) return { size: estimateResult.fileSize };
+        return { size: (estimateResult.chunkNumber || 0) * (estimateResult.chunkSize || 0), sizeIsUpperBound: true };
+    }
 
-            document.getElementById('cancelChunkedUpload').addEventListener('click', () => {
-                document.body.removeChild(modal);
-                resolve(false);
+    // Ask the user to review the estimate before anything is signed.
+    // With a review bridge (the ChunkedUploadReviewModal in index.html) the user can also switch the
+    // fee tier, which re-runs reEstimate(); resolves to { confirmed, estimateResult } with the final estimate.
+    async function showChunkedUploadConfirmation(file, estimateResult, { reEstimate, walletSignatures = 3 } = {}) {
+        const review = getReview();
+        if (review) {
+            return review.requestChunkedUploadReview({
+                fileName: file.name,
+                fileSize: file.size,
+                fileSizeIsUpperBound: !!file.sizeIsUpperBound,
+                estimateResult: estimateResult,
+                walletSignatures: walletSignatures,
+                reEstimate: reEstimate,
+                getAmounts: (estimate) => calculateChunkedUploadAmounts(estimate, getChainStore().mvcFeeRate() || 1)
             });
+        }
 
-            // Close on background click
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    document.body.removeChild(modal);
-                    resolve(false);
-                }
-            });
-        });
+        // Plain-text fallback when the hook is used without the Vue modal
+        const amounts = calculateChunkedUploadAmounts(estimateResult, getChainStore().mvcFeeRate() || 1);
+        const confirmed = window.confirm([
+            `Upload "${file.name}" (${file.sizeIsUpperBound ? 'up to ' : ''}${formatFileSize(file.size)}) in ${estimateResult.chunkNumber} chunks?`,
+            `Total cost: ${formatSatoshis(amounts.totalRequiredAmount)}`,
+            `Wallet confirmations needed: ${walletSignatures}`
+        ].join('\n'));
+        return { confirmed: confirmed, estimateResult: estimateResult };
+    }
+
+    // Amounts the wallet has to fund for an estimate at the given fee rate.
+    // mergeInputCount: wallet UTXOs spent by the merge tx (its fee grows with every input)
+    function calculateChunkedUploadAmounts(estimateResult, feeRate, mergeInputCount = 1) {
+        const txFee = getTxFee();
+        if (!txFee) throw new Error('Transaction fee module not available');
+
+        // Chunk / index PreTx are signed with 1 input and no outputs - backend will add them
+        const preTxBuildFee = txFee.calculateFee(txFee.getTxSize({ inputCount: 1, outputCount: 0 }), feeRate);
+        const chunkPreTxBuildFee = preTxBuildFee;
+        const indexPreTxBuildFee = preTxBuildFee;
+
+        // Merge tx: the wallet inputs, the two funding outputs and the change output added by pay
+        const mergeTxFee = txFee.calculateFee(txFee.getTxSize({ inputCount: mergeInputCount, outputCount: 3 }), feeRate);
+
+        const chunkPreTxOutputAmount = estimateResult.chunkPreTxFee + chunkPreTxBuildFee;
+        const indexPreTxOutputAmount = estimateResult.indexPreTxFee + indexPreTxBuildFee;
+
+        return {
+            chunkPreTxBuildFee: chunkPreTxBuildFee,
+            indexPreTxBuildFee: indexPreTxBuildFee,
+            chunkPreTxOutputAmount: chunkPreTxOutputAmount,
+            indexPreTxOutputAmount: indexPreTxOutputAmount,
+            mergeTxFee: mergeTxFee,
+            totalRequiredAmount: chunkPreTxOutputAmount + indexPreTxOutputAmount + mergeTxFee
+        };
     }
 
     // Get wallet UTXOs
@@ -700,45 +1349,33 @@ const useChunkUpload = (dependencies = {}) => {
                 throw new Error('No available UTXOs in wallet');
             }
 
-            // Filter UTXOs: only select UTXOs > 600 satoshis
-            const filler = 600;
-            const fillerUtxos = utxos.filter(utxo => utxo.value > filler);
+            // Pick coins with the strategy chosen in Fee Settings (1 satoshi extra for the receiver output)
+            const chainStore = getChainStore();
+            const selection = getUtxoSelection().selectUtxos(
+                utxos,
+                requiredAmount + 1,
+                chainStore.mvcFeeRate() || 1,
+                chainStore.mvcUtxoStrategy()
+            );
 
-            if (!fillerUtxos || fillerUtxos.length === 0) {
-                throw new Error('No UTXOs larger than 600 satoshis available in wallet');
+            if (!selection) {
+                const totalAmount = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
+                throw new Error(`Insufficient balance! Need ${requiredAmount + 1} satoshis, but only have ${totalAmount} satoshis`);
             }
 
-            // Sort UTXOs by amount (descending)
-            const sortedUtxos = fillerUtxos.sort((a, b) => b.value - a.value);
-
-            // Select UTXOs to meet required amount
-            let selectedUtxos = [];
-            let totalAmount = 0;
-
-            for (const utxo of sortedUtxos) {
-                // Convert address to script
-                let scriptHex = mvc.Script.buildPublicKeyHashOut(utxo.address).toHex();
-                selectedUtxos.push({
-                    txId: utxo.txid,
-                    outputIndex: utxo.outIndex,
-                    script: scriptHex,
-                    satoshis: utxo.value
-                });
-                totalAmount += utxo.value;
-
-                // Add buffer for change output
-                if (totalAmount >= requiredAmount + 1) {
-                    break;
-                }
-            }
+            console.log(`🪙 Selected ${selection.utxos.length} UTXO(s) with ${selection.strategy}`);
 
-            if (totalAmount < requiredAmount + 1) {
-                throw new Error(`Insufficient balance! Need ${requiredAmount + 1} satoshis, but only have ${totalAmount} satoshis`);
-            }
+            // Convert address to script
+            const selectedUtxos = selection.utxos.map(utxo => ({
+                txId: utxo.txid,
+                outputIndex: utxo.outIndex,
+                script: mvc.Script.buildPublicKeyHashOut(utxo.address).toHex(),
+                satoshis: utxo.value
+            }));
 
             return {
                 utxos: selectedUtxos,
-                totalAmount: totalAmount
+                totalAmount: selection.totalAmount
             };
         } catch (error) {
             console.error('Failed to get UTXOs:', error);
@@ -824,7 +1461,7 @@ const useChunkUpload = (dependencies = {}) => {
                 const outputAmount = output.satoshis;
 
                 try {
-                    const addr = output.script.toAddress(mvc.Networks.livenet);
+                    const addr = output.script.toAddress(mvc.Networks[getNetwork()]);
                     if (addr && addr.toString() === userStore.last.address) {
                         // Match chunk PreTx output by amount
                         if (chunkPreTxOutputIndex === -1 &&
@@ -972,12 +1609,12 @@ const useChunkUpload = (dependencies = {}) => {
     }
 
     // Create async chunked upload task
-    async function createChunkedUploadTask(file, fileContentBase64, storageKey, chunkPreTxHex, indexPreTxHex, mergeTxHex) {
+    // extraFields are merged into the request body (e.g. retryOfTaskId linking a retry to the failed task)
+    async function createChunkedUploadTask(file, fileContentBase64, storageKey, chunkPreTxHex, indexPreTxHex, mergeTxHex, extraFields = {}) {
         try {
             const userStore = getUserStore();
             const chainStore = getChainStore();
             if (!userStore || !chainStore) throw new Error('Required stores not available');
-            const path = '/file';
             const contentType = buildContentType(file);
             const metaId = userStore.last.metaid;
             const currentAddress = userStore.last.address;
@@ -986,13 +1623,13 @@ const useChunkUpload = (dependencies = {}) => {
                 metaId: metaId,
                 address: currentAddress,
                 fileName: file.name,
-                path: path,
-                operation: 'create',
+                ...getPinRequestFields(normalizePinOptions()),
                 contentType: contentType,
                 chunkPreTxHex: chunkPreTxHex,
                 indexPreTxHex: indexPreTxHex,
                 mergeTxHex: mergeTxHex,
-                feeRate: chainStore.mvcFeeRate() || 1
+                feeRate: chainStore.mvcFeeRate() || 1,
+                ...extraFields
             };
 
             // Use storageKey if provided, otherwise use content
@@ -1004,12 +1641,7 @@ const useChunkUpload = (dependencies = {}) => {
                 throw new Error('Either storageKey or content must be provided');
             }
 
-            const requestOptions = await prepareJsonRequestBody(requestBody);
-            const response = await fetch(`${API_BASE}/api/v1/files/chunked-upload-task`, {
-                method: 'POST',
-                headers: requestOptions.headers,
-                body: requestOptions.body
-            });
+            const response = await postJsonRequest(`${getApiBase()}/api/v1/files/chunked-upload-task`, requestBody);
 
             if (!response.ok) {
                 throw new Error(`HTTP Error: ${response.status}`);
@@ -1030,178 +1662,184 @@ const useChunkUpload = (dependencies = {}) => {
     // Load chunk tasks
     async function loadChunkTasks(options = {}) {
         const { append = false, silent = false } = options;
-        const userStore = getUserStore();
-        const toastObj = getToast();
-        if (!userStore || !toastObj) {
-            console.error('Required stores not available for loadChunkTasks');
+        const taskStore = getTaskStore();
+        if (!taskStore) {
+            console.error('ChunkTaskStore not available for loadChunkTasks');
             return;
         }
-        const { showToast } = toastObj;
-        const { taskListContainer, loadMoreTasksBtn } = getTaskElements();
 
-        if (!taskListContainer) return;
-
-        if (append && !taskHasMore) {
-            showToast('No more tasks', 'info');
-            return;
+        if (append) {
+            await taskStore.loadMore();
+        } else {
+            await taskStore.loadTasks({ silent });
         }
+    }
 
-        try {
-            const cursorParam = append ? taskCursor : 0;
-            const url = new URL(`${API_BASE}/api/v1/files/tasks`);
-            url.searchParams.set('address', userStore.last.address);
-            url.searchParams.set('cursor', cursorParam);
-            url.searchParams.set('size', TASK_PAGE_SIZE);
-
-            const response = await fetch(url.toString());
-            if (!response.ok) {
-                throw new Error(`HTTP Error: ${response.status}`);
-            }
-
-            const result = await response.json();
-            if (result.code !== 0) {
-                throw new Error(result.message || 'Failed to fetch tasks');
+    // Fetch one page of the current user's chunked upload tasks.
+    // filters ({ status, keyword, startTime, endTime }) are sent as query parameters for backends
+    // that filter server-side; others ignore them, so callers still filter the returned page.
+    async function fetchChunkTaskPage(cursor = 0, { size = TASK_PAGE_SIZE, signal, filters = {} } = {}) {
+        const userStore = getUserStore();
+        if (!userStore) throw new Error('UserStore not available');
+
+        const url = new URL(`${getApiBase()}/api/v1/files/tasks`);
+        url.searchParams.set('address', userStore.last.address);
+        url.searchParams.set('cursor', cursor);
+        url.searchParams.set('size', size);
+        Object.entries(filters).forEach(([name, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                url.searchParams.set(name, value);
             }
+        });
 
-            const data = result.data || { tasks: [], nextCursor: 0, hasMore: false };
-            const tasks = data.tasks || [];
+        const response = await fetch(url.toString(), { signal: signal });
+        if (!response.ok) {
+            throw new Error(`HTTP Error: ${response.status}`);
+        }
 
-            if (!append) {
-                taskList = tasks;
-            } else {
-                taskList = taskList.concat(tasks);
-            }
+        const result = await response.json();
+        if (result.code !== 0) {
+            throw new Error(result.message || 'Failed to fetch tasks');
+        }
 
-            renderTaskList(taskList);
-            taskCursor = data.nextCursor || 0;
-            taskHasMore = !!data.hasMore;
+        return result.data || { tasks: [], nextCursor: 0, hasMore: false };
+    }
 
-            if (loadMoreTasksBtn) {
-                loadMoreTasksBtn.disabled = !taskHasMore;
-            }
-        } catch (error) {
-            console.error('❌ Failed to load tasks:', error);
-            if (!silent) {
-                showToast('Failed to load tasks: ' + error.message, 'error');
-            }
+    // Find a task by id among the newest tasks (a task just created is on the first page)
+    async function findChunkTask(taskId, signal) {
+        let cursor = 0;
+        for (let page = 0; page < TASK_LOOKUP_MAX_PAGES; page++) {
+            const data = await fetchChunkTaskPage(cursor, { signal });
+            const task = (data.tasks || []).find(item => item.taskId === taskId);
+            if (task || !data.hasMore) return task || null;
+            cursor = data.nextCursor || 0;
         }
+        return null;
     }
 
-    // Chunked upload (synchronous)
-    async function chunkedUpload(file, fileContentBase64, storageKey, chunkPreTxHex, indexPreTxHex, mergeTxHex) {
-        try {
-            const userStore = getUserStore();
-            const chainStore = getChainStore();
-            if (!userStore || !chainStore) throw new Error('Required stores not available');
-            const path = '/file';
-            const contentType = buildContentType(file);
-            const metaId = userStore.last.metaid;
-            const currentAddress = userStore.last.address;
-
-            const requestBody = {
-                metaId: metaId,
-                address: currentAddress,
-                fileName: file.name,
-                path: path,
-                operation: 'create',
-                contentType: contentType,
-                chunkPreTxHex: chunkPreTxHex,
-                indexPreTxHex: indexPreTxHex,
-                mergeTxHex: mergeTxHex,
-                feeRate: chainStore.mvcFeeRate() || 1,
-                isBroadcast: true
-            };
-
-            // Use storageKey if provided, otherwise use content
-            if (storageKey) {
-                requestBody.storageKey = storageKey;
-            } else if (fileContentBase64) {
-                requestBody.content = fileContentBase64;
-            } else {
-                throw new Error('Either storageKey or content must be provided');
+    // Poll a chunked upload task until it succeeds or fails. Gives up after timeout ms, or when the
+    // task cannot be found TASK_POLL_MAX_NOT_FOUND times in a row; the task keeps running on the server.
+    // onProgress receives { stage: 'processing', loaded, total, progress, currentStep, status, taskId }.
+    async function waitForChunkTask(taskId, { signal, onProgress, interval = TASK_POLL_INTERVAL, timeout = TASK_POLL_TIMEOUT } = {}) {
+        const deadline = Date.now() + timeout;
+        let consecutiveErrors = 0;
+        let consecutiveNotFound = 0;
+        let lastProcessed = -1;
+        let lastStep = null;
+
+        while (true) {
+            let task = null;
+            try {
+                task = await findChunkTask(taskId, signal);
+                consecutiveErrors = 0;
+                consecutiveNotFound = task ? 0 : consecutiveNotFound + 1;
+            } catch (error) {
+                if (signal && signal.aborted) {
+                    throw createCancelError();
+                }
+                consecutiveErrors++;
+                console.warn(`⚠️ Failed to poll task ${taskId} (${consecutiveErrors}/${TASK_POLL_MAX_ERRORS}):`, error.message);
+                if (consecutiveErrors >= TASK_POLL_MAX_ERRORS) {
+                    throw new Error(`Lost track of upload task ${taskId}: ${error.message}`);
+                }
             }
 
-            const requestOptions = await prepareJsonRequestBody(requestBody);
+            if (consecutiveNotFound >= TASK_POLL_MAX_NOT_FOUND) {
+                throw new Error(`Upload task ${taskId} was not found in the task list, check the task list for its progress`);
+            }
 
-            const response = await fetch(`${API_BASE}/api/v1/files/chunked-upload`, {
-                method: 'POST',
-                headers: requestOptions.headers,
-                body: requestOptions.body
-            });
+            if (task) {
+                const status = (task.status || '').toLowerCase();
+                const processed = task.processedChunks || 0;
+
+                // Report only when something moved, so callers get one update per chunk or step
+                if (typeof onProgress === 'function' && (processed !== lastProcessed || task.currentStep !== lastStep)) {
+                    lastProcessed = processed;
+                    lastStep = task.currentStep;
+                    onProgress({
+                        stage: 'processing',
+                        loaded: processed,
+                        total: task.totalChunks || 0,
+                        progress: Math.min(Math.max(task.progress || 0, 0), 100),
+                        currentStep: task.currentStep || '',
+                        status: task.status,
+                        taskId: taskId
+                    });
+                }
 
-            if (!response.ok) {
-                throw new Error(`HTTP Error: ${response.status}`);
+                if (status === 'failed') {
+                    throw new Error(task.errorMessage || 'Upload failed with unknown error');
+                }
+                if (status === 'success') {
+                    if (!task.indexTxId) {
+                        throw new Error('Upload task finished without an index transaction');
+                    }
+                    return task;
+                }
             }
 
-            const result = await response.json();
-
-            if (result.code !== 0) {
-                throw new Error(result.message);
+            if (Date.now() + interval > deadline) {
+                throw new Error(`Upload task ${taskId} did not finish within ${Math.round(timeout / 60000)} minutes, it keeps running on the server`);
             }
-            console.log(" result.data", result.data)
-            debugger
-            return result.data;
-        } catch (error) {
-            console.error('❌ ChunkedUpload failed:', error);
-            throw new Error(`ChunkedUpload failed: ${error.message}`);
+            await wait(interval, signal);
         }
     }
 
     // Helper functions
-    function getUploadSession(file, metaId, address) {
-        const sessionKey = getUploadSessionKey(file, metaId, address);
-        const sessionData = localStorage.getItem(sessionKey);
-        if (!sessionData) return null;
-
-        try {
-            const session = JSON.parse(sessionData);
-            // Check if session is still valid (within 7 days)
-            const maxAge = 7 * 24 * 60 * 60 * 1000;
-            if (Date.now() - session.timestamp > maxAge) {
-                localStorage.removeItem(sessionKey);
-                return null;
-            }
-            return session;
-        } catch (e) {
-            localStorage.removeItem(sessionKey);
-            return null;
-        }
+    // Upload sessions live in IndexedDB (see useUploadSessionStore.js)
+    function getUploadSessionKey(fileHash, metaId, address) {
+        return getSessionStore().getSessionId(fileHash, metaId, address);
     }
 
-    function getUploadSessionKey(file, metaId, address) {
-        return `multipart_upload_${file.name}_${file.size}_${metaId}_${address}`;
+    async function getUploadSession(fileHash, metaId, address) {
+        return getSessionStore().getSession(getUploadSessionKey(fileHash, metaId, address));
     }
 
-    function saveUploadSession(file, metaId, address, uploadId, key) {
-        const sessionKey = getUploadSessionKey(file, metaId, address);
-        const sessionData = {
+    async function saveUploadSession(file, fileHash, metaId, address, uploadId, key, partEncoding = PART_ENCODING_JSON, encryptedSource = null) {
+        return getSessionStore().saveSession({
+            id: getUploadSessionKey(fileHash, metaId, address),
             uploadId: uploadId,
             key: key,
+            fileHash: fileHash,
             fileName: file.name,
             fileSize: file.size,
+            fileType: file.type,
+            partSize: MULTIPART_CHUNK_SIZE,
+            partEncoding: partEncoding,
+            encryptedSource: encryptedSource,
+            totalParts: Math.ceil(file.size / MULTIPART_CHUNK_SIZE),
             metaId: metaId,
             address: address,
-            timestamp: Date.now()
-        };
-        localStorage.setItem(sessionKey, JSON.stringify(sessionData));
+            status: 'uploading',
+            parts: {}
+        });
     }
 
-    function clearUploadSession(file, metaId, address) {
-        const sessionKey = getUploadSessionKey(file, metaId, address);
-        localStorage.removeItem(sessionKey);
+    // Record an uploaded part (etag, size, checksum) so it can be validated on resume
+    async function saveUploadedPart(fileHash, metaId, address, partNumber, partInfo) {
+        return getSessionStore().savePart(getUploadSessionKey(fileHash, metaId, address), partNumber, partInfo);
     }
 
-    function formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+    async function updateUploadSession(fileHash, metaId, address, changes) {
+        return getSessionStore().updateSession(getUploadSessionKey(fileHash, metaId, address), session => ({
+            ...session,
+            ...changes
+        }));
     }
 
-    function formatSatoshis(satoshis) {
-        const space = satoshis / 100000000;
-        return `${space.toFixed(8)} SPACE (${satoshis.toLocaleString()} sats)`;
+    async function clearUploadSession(fileHash, metaId, address) {
+        return getSessionStore().deleteSession(getUploadSessionKey(fileHash, metaId, address));
+    }
+
+    // MetaID pin fields for an upload (see usePinOptions); chunked uploads only create or modify
+    function normalizePinOptions(options) {
+        const pinOptionsHook = getPinOptions();
+        if (!pinOptionsHook) throw new Error('usePinOptions is not available');
+        return pinOptionsHook.normalizePinOptions(options, { operations: CHUNKED_PIN_OPERATIONS });
+    }
+
+    function getPinRequestFields(pinOptions) {
+        return getPinOptions().getPinRequestFields(pinOptions);
     }
 
     function buildContentType(file) {
@@ -1221,30 +1859,67 @@ const useChunkUpload = (dependencies = {}) => {
         return contentType;
     }
 
-    async function prepareJsonRequestBody(data) {
+    function getRequestGzipConfig() {
+        const constants = getConstants() || {};
+        return {
+            mode: constants.REQUEST_GZIP || REQUEST_GZIP_MODE,
+            minSize: constants.REQUEST_GZIP_MIN_SIZE ?? REQUEST_GZIP_MIN_SIZE
+        };
+    }
+
+    // Ask an endpoint which request encodings it accepts (RFC 7694 Accept-Encoding on an OPTIONS response)
+    async function probeGzipSupport(url) {
+        try {
+            const response = await fetch(url, { method: 'OPTIONS', mode: 'cors' });
+            const acceptEncoding = (response.headers && response.headers.get('Accept-Encoding')) || '';
+            return response.ok && /\bgzip\b/i.test(acceptEncoding);
+        } catch (error) {
+            console.warn('[probeGzipSupport] Probe failed, sending plain JSON:', error.message);
+            return false;
+        }
+    }
+
+    async function isGzipEnabledFor(url) {
+        const { mode } = getRequestGzipConfig();
+        if (mode === 'off' || typeof CompressionStream !== 'function') return false;
+
+        if (!gzipEndpointSupport.has(url)) {
+            if (mode === 'on') return true;
+            // Store the pending probe so parallel requests share it
+            gzipEndpointSupport.set(url, probeGzipSupport(url));
+        }
+        return gzipEndpointSupport.get(url);
+    }
+
+    // Build the JSON request body for an endpoint, gzip-compressed when the endpoint accepts it
+    // and the body is above the size threshold. Returns { body, headers, compressed }.
+    async function prepareJsonRequestBody(data, url) {
         try {
             const jsonString = JSON.stringify(data);
-            // 
-            // if (typeof CompressionStream === 'function') {
-            //     try {
-            //         const compressedBody = await gzipCompressString(jsonString);
-            //         return {
-            //             body: compressedBody,
-            //             headers: {
-            //                 'Content-Type': 'application/json',
-            //                 'Content-Encoding': 'gzip'
-            //             }
-            //         };
-            //     } catch (error) {
-            //         console.warn('[prepareJsonRequestBody] Failed to gzip, fallback to plain JSON:', error);
-            //     }
-            // }
+            const { minSize } = getRequestGzipConfig();
+
+            if (url && jsonString.length >= minSize && await isGzipEnabledFor(url)) {
+                try {
+                    const compressedBody = await gzipCompressString(jsonString);
+                    return {
+                        body: compressedBody,
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Content-Encoding': 'gzip'
+                        },
+                        compressed: true
+                    };
+                } catch (error) {
+                    console.warn('[prepareJsonRequestBody] Failed to gzip, fallback to plain JSON:', error);
+                }
+            }
 
             return {
                 body: jsonString,
                 headers: {
                     'Content-Type': 'application/json'
-                }
+                },
+                compressed: false
             };
         } catch (error) {
             console.error('[prepareJsonRequestBody] Error:', error);
@@ -1252,8 +1927,39 @@ const useChunkUpload = (dependencies = {}) => {
         }
     }
 
+    // POST a JSON body, resending it uncompressed if the endpoint rejects gzip with 415
+    async function postJsonRequest(url, data, fetchOptions = {}) {
+        const requestOptions = await prepareJsonRequestBody(data, url);
+        const response = await fetch(url, {
+            ...fetchOptions,
+            method: 'POST',
+            headers: requestOptions.headers,
+            body: requestOptions.body
+        });
+
+        if (response.status === 415 && requestOptions.compressed) {
+            console.warn(`⚠️ ${url} rejected gzip request body, resending as plain JSON`);
+            gzipEndpointSupport.set(url, false);
+            return fetch(url, {
+                ...fetchOptions,
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+        }
+
+        return response;
+    }
+
     async function gzipCompressString(str) {
         try {
+            const uploadWorker = getUploadWorker();
+            if (uploadWorker && await uploadWorker.isAvailable()) {
+                return await uploadWorker.gzip(str);
+            }
+
             const blob = new Blob([str], { type: 'application/json' });
             const compressionStream = new CompressionStream('gzip');
             const compressedStream = blob.stream().pipeThrough(compressionStream);
@@ -1283,84 +1989,21 @@ const useChunkUpload = (dependencies = {}) => {
         }
     }
 
-    function renderTaskList(tasks) {
-        const { taskListContainer, taskListEmpty } = getTaskElements();
-        if (!taskListContainer) return;
-
-        if (!tasks || tasks.length === 0) {
-            taskListContainer.innerHTML = '';
-            if (taskListEmpty) {
-                taskListEmpty.classList.remove('hidden');
-            }
-            return;
-        }
-
-        if (taskListEmpty) {
-            taskListEmpty.classList.add('hidden');
-        }
-
-        taskListContainer.innerHTML = '';
-        tasks.forEach(task => {
-            const card = document.createElement('div');
-            card.className = 'task-card';
-            const statusClass = getStatusClass(task.status);
-            const progress = Math.min(Math.max(task.progress || 0, 0), 100);
-            const processedInfo = `${task.processedChunks || 0}/${task.totalChunks || 0}`;
-
-            let indexTxIdHtml = '-';
-            if (task.indexTxId && task.indexTxId.trim()) {
-                const txUrl = `https://www.mvcscan.com/tx/${task.indexTxId}`;
-                indexTxIdHtml = `
-                    <a href="${txUrl}" target="_blank"
-                       style="color: #667eea; text-decoration: none; font-family: monospace; font-size: 12px; word-break: break-all;"
-                       onmouseover="this.style.textDecoration='underline'"
-                       onmouseout="this.style.textDecoration='none'">
-                        ${task.indexTxId}
-                    </a>
-                `;
-            }
-
-            card.innerHTML = `
-                <div class="task-card-header">
-                    <div>
-                        <div style="font-weight: 600; color: #333;">Task ${task.taskId}</div>
-                        <div style="font-size: 12px; color: #777;">Created ${new Date(task.createdAt).toLocaleString()}</div>
-                    </div>
-                    <div class="task-status ${statusClass}">
-                        <span>${task.status}</span>
-                        <span>${progress}%</span>
-                    </div>
-                </div>
-                <div class="task-progress-bar">
-                    <div class="task-progress-fill" style="width: ${progress}%;"></div>
-                </div>
-                <div class="task-meta">
-                    <div><strong>File:</strong> ${task.fileName || 'N/A'}</div>
-                    <div><strong>Chunks:</strong> ${processedInfo}</div>
-                    <div><strong>Step:</strong> ${task.currentStep || 'Pending'}</div>
-                    <div><strong>IndexTxId:</strong> ${indexTxIdHtml}</div>
-                    <div><strong>Message:</strong> ${task.errorMessage || task.status || '-'}</div>
-                </div>
-            `;
-
-            taskListContainer.appendChild(card);
-        });
-    }
-
-    function getStatusClass(status = '') {
-        const normalized = (status || '').toLowerCase();
-        if (normalized === 'success') return 'success';
-        if (normalized === 'failed') return 'failed';
-        if (normalized === 'processing') return 'processing';
-        return 'pending';
-    }
-
     // Return public API
     return {
         runChunkedUploadFlow,
+        createUploadHandle,
         uploadFileToOSS,
+        abortMultipartUpload,
+        computeFileFingerprint,
+        listUploadSessions,
+        discardUploadSession,
+        resumeUploadSession,
         estimateChunkedUploadFee,
+        showChunkedUploadConfirmation,
+        retryChunkTask,
         loadChunkTasks,
-        renderTaskList
+        fetchChunkTaskPage,
+        waitForChunkTask
     };
 };
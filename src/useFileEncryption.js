@@ -0,0 +1,204 @@
+// useFileEncryption.js - File Encryption Hook
+// Encrypts files with AES-256-GCM before upload. The file is read and encrypted in fixed-size
+// segments, so any binary content works and the plaintext is never loaded in one piece. The
+// ciphertext is kept in memory until it is uploaded, which is why encryptFile has a size limit.
+//
+// Encrypted layout:
+//   header:   "MFE1" (4) | segment size, uint32 BE (4) | random nonce prefix (8)
+//   segments: AES-GCM ciphertext + 16-byte tag for each plaintext segment
+// Segment i uses IV = nonce prefix | uint32 BE i, and header | last-segment flag as additional
+// data, so segments cannot be reordered, dropped or cut off at the end without failing to decrypt.
+
+const useFileEncryption = (dependencies = {}) => {
+    // Extract dependencies (will be passed from index.html)
+    const {
+        cryptoInstance = null
+    } = dependencies;
+
+    const getCrypto = () => cryptoInstance || (typeof crypto !== 'undefined' ? crypto : null);
+
+    // Constants
+    const MAGIC = [0x4d, 0x46, 0x45, 0x31]; // "MFE1"
+    const HEADER_SIZE = 16;
+    const NONCE_PREFIX_SIZE = 8;
+    const TAG_SIZE = 16;
+    const KEY_SIZE = 32; // AES-256
+    const DEFAULT_SEGMENT_SIZE = 1024 * 1024; // 1MB of plaintext per segment
+    const MAX_ENCRYPTED_FILE_SIZE = 256 * 1024 * 1024; // Largest plaintext encryptFile accepts (the ciphertext is held in memory)
+    const ENCRYPTED_CONTENT_TYPE = 'application/octet-stream'; // The real content type is stored with the key, not on chain
+    const ENCRYPTED_FILE_NAME = 'file.enc'; // Likewise the real name; callers may rename the ciphertext, e.g. after its hash
+
+    function getSubtle() {
+        const cryptoApi = getCrypto();
+        if (!cryptoApi || !cryptoApi.subtle) throw new Error('Web Crypto API not available');
+        return cryptoApi.subtle;
+    }
+
+    function toHex(bytes) {
+        return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function fromHex(hex) {
+        if (!/^([0-9a-fA-F]{2})*$/.test(hex || '')) throw new Error('Invalid hex key');
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            const error = new Error('Encryption user cancelled');
+            error.cancelled = true;
+            throw error;
+        }
+    }
+
+    // Fresh random AES-256 key as hex
+    function generateFileKey() {
+        const key = new Uint8Array(KEY_SIZE);
+        getCrypto().getRandomValues(key);
+        return toHex(key);
+    }
+
+    // Fresh random nonce prefix as hex. Encrypting the same plaintext with the same key and nonce
+    // prefix gives the same bytes, which a resumed upload relies on; never reuse it for other content.
+    function generateNoncePrefix() {
+        const noncePrefix = new Uint8Array(NONCE_PREFIX_SIZE);
+        getCrypto().getRandomValues(noncePrefix);
+        return toHex(noncePrefix);
+    }
+
+    async function importKey(hexKey, usage) {
+        const keyBytes = fromHex(hexKey);
+        if (keyBytes.length !== KEY_SIZE) {
+            throw new Error(`Invalid key length, expected ${KEY_SIZE} bytes, got ${keyBytes.length}`);
+        }
+        return getSubtle().importKey('raw', keyBytes, { name: 'AES-GCM' }, false, [usage]);
+    }
+
+    function buildHeader(segmentSize, noncePrefix) {
+        const header = new Uint8Array(HEADER_SIZE);
+        header.set(MAGIC, 0);
+        new DataView(header.buffer).setUint32(4, segmentSize);
+        header.set(noncePrefix, 8);
+        return header;
+    }
+
+    function parseHeader(header) {
+        if (header.length < HEADER_SIZE || MAGIC.some((byte, i) => header[i] !== byte)) {
+            throw new Error('Not an encrypted file');
+        }
+        return {
+            segmentSize: new DataView(header.buffer, header.byteOffset, HEADER_SIZE).getUint32(4),
+            noncePrefix: header.slice(8, HEADER_SIZE)
+        };
+    }
+
+    function buildSegmentParams(header, noncePrefix, index, isLast) {
+        const iv = new Uint8Array(NONCE_PREFIX_SIZE + 4);
+        iv.set(noncePrefix, 0);
+        new DataView(iv.buffer).setUint32(NONCE_PREFIX_SIZE, index);
+
+        const additionalData = new Uint8Array(HEADER_SIZE + 1);
+        additionalData.set(header, 0);
+        additionalData[HEADER_SIZE] = isLast ? 1 : 0;
+
+        return { name: 'AES-GCM', iv: iv, additionalData: additionalData, tagLength: TAG_SIZE * 8 };
+    }
+
+    // Size of the encrypted output for a plaintext of the given size
+    function getEncryptedSize(plainSize, segmentSize = DEFAULT_SEGMENT_SIZE) {
+        const segmentCount = Math.max(1, Math.ceil(plainSize / segmentSize));
+        return HEADER_SIZE + plainSize + segmentCount * TAG_SIZE;
+    }
+
+    // Encrypt a File or Blob segment by segment; resolves to an application/octet-stream File named
+    // ENCRYPTED_FILE_NAME. noncePrefix (hex, see generateNoncePrefix) defaults to a fresh one.
+    // Files above MAX_ENCRYPTED_FILE_SIZE are rejected.
+    async function encryptFile(file, hexKey, { segmentSize = DEFAULT_SEGMENT_SIZE, noncePrefix: noncePrefixHex = generateNoncePrefix(), signal, onProgress } = {}) {
+        try {
+            if (file.size > MAX_ENCRYPTED_FILE_SIZE) {
+                throw new Error(`file is ${file.size} bytes, the limit is ${MAX_ENCRYPTED_FILE_SIZE} bytes`);
+            }
+            const noncePrefix = fromHex(noncePrefixHex);
+            if (noncePrefix.length !== NONCE_PREFIX_SIZE) {
+                throw new Error(`Invalid nonce prefix length, expected ${NONCE_PREFIX_SIZE} bytes, got ${noncePrefix.length}`);
+            }
+            const subtle = getSubtle();
+            const key = await importKey(hexKey, 'encrypt');
+            const header = buildHeader(segmentSize, noncePrefix);
+
+            const parts = [header];
+            const segmentCount = Math.max(1, Math.ceil(file.size / segmentSize));
+            for (let index = 0; index < segmentCount; index++) {
+                throwIfAborted(signal);
+                const start = index * segmentSize;
+                const plaintext = await file.slice(start, start + segmentSize).arrayBuffer();
+                const params = buildSegmentParams(header, noncePrefix, index, index === segmentCount - 1);
+                parts.push(new Uint8Array(await subtle.encrypt(params, key, plaintext)));
+                if (typeof onProgress === 'function') {
+                    onProgress({ loaded: Math.min(start + segmentSize, file.size), total: file.size });
+                }
+            }
+
+            return new File(parts, ENCRYPTED_FILE_NAME, { type: ENCRYPTED_CONTENT_TYPE, lastModified: file.lastModified });
+        } catch (error) {
+            if (error.cancelled) throw error;
+            throw new Error(`Failed to encrypt file: ${error.message}`);
+        }
+    }
+
+    // Decrypt data produced by encryptFile; resolves to a Blob of the given content type
+    async function decryptFile(data, hexKey, { type = '', signal, onProgress } = {}) {
+        try {
+            const subtle = getSubtle();
+            const blob = data instanceof Blob ? data : new Blob([data]);
+            const key = await importKey(hexKey, 'decrypt');
+            const header = new Uint8Array(await blob.slice(0, HEADER_SIZE).arrayBuffer());
+            const { segmentSize, noncePrefix } = parseHeader(header);
+
+            const encryptedSegmentSize = segmentSize + TAG_SIZE;
+            const bodySize = blob.size - HEADER_SIZE;
+            const segmentCount = Math.max(1, Math.ceil(bodySize / encryptedSegmentSize));
+            if (bodySize < TAG_SIZE) throw new Error('Encrypted data is truncated');
+
+            const parts = [];
+            for (let index = 0; index < segmentCount; index++) {
+                throwIfAborted(signal);
+                const start = HEADER_SIZE + index * encryptedSegmentSize;
+                const ciphertext = await blob.slice(start, start + encryptedSegmentSize).arrayBuffer();
+                const params = buildSegmentParams(header, noncePrefix, index, index === segmentCount - 1);
+                parts.push(new Uint8Array(await subtle.decrypt(params, key, ciphertext)));
+                if (typeof onProgress === 'function') {
+                    onProgress({ loaded: Math.min(start + encryptedSegmentSize, blob.size), total: blob.size });
+                }
+            }
+
+            return new Blob(parts, { type: type });
+        } catch (error) {
+            if (error.cancelled) throw error;
+            // A wrong key or tampered data surfaces as a bare OperationError, often without a message
+            throw new Error(`Failed to decrypt file: ${error.message || 'wrong key or corrupted data'}`);
+        }
+    }
+
+    // Whether data starts with the encrypted file header
+    async function isEncryptedFile(data) {
+        const blob = data instanceof Blob ? data : new Blob([data]);
+        const header = new Uint8Array(await blob.slice(0, MAGIC.length).arrayBuffer());
+        return header.length === MAGIC.length && MAGIC.every((byte, i) => header[i] === byte);
+    }
+
+    // Return public API
+    return {
+        MAX_ENCRYPTED_FILE_SIZE,
+        generateFileKey,
+        generateNoncePrefix,
+        encryptFile,
+        decryptFile,
+        isEncryptedFile,
+        getEncryptedSize
+    };
+};
@@ -7,18 +7,28 @@ const useFileToChainDirect = (dependencies = {}) => {
         toastInstance = null,
         chainStoreInstance = null,
         userStoreInstance = null,
+        networkStoreInstance = null,
         BufferInstance = null,
         MetaIDJsInstance = null,
-        constantsInstance = null
+        constantsInstance = null,
+        directUploadReviewInstance = null,
+        txFeeInstance = null,
+        utxoSelectionInstance = null,
+        pinOptionsInstance = null
     } = dependencies;
 
     // Helper to get stores (fallback to global if available)
     const getToast = () => toastInstance || (typeof useToast === 'function' ? useToast() : null);
     const getChainStore = () => chainStoreInstance || (typeof useChainStore === 'function' ? useChainStore() : null);
     const getUserStore = () => userStoreInstance || (typeof useUserStore === 'function' ? useUserStore() : null);
+    const getNetworkStore = () => networkStoreInstance || (typeof useNetworkStore === 'function' ? useNetworkStore() : null);
     const getBuffer = () => BufferInstance || (typeof window !== 'undefined' && window.Buffer) || null;
     const getMetaIDJs = () => MetaIDJsInstance || (typeof MetaIDJs !== 'undefined' ? MetaIDJs : null);
     const getConstants = () => constantsInstance || (typeof CONSTANTS !== 'undefined' ? CONSTANTS : null);
+    const getTxFee = () => txFeeInstance || (typeof useTxFee === 'function' ? useTxFee({ MetaIDJsInstance, BufferInstance }) : null);
+    const getUtxoSelection = () => utxoSelectionInstance || (typeof useUtxoSelection === 'function' ? useUtxoSelection() : null);
+    const getPinOptions = () => pinOptionsInstance || (typeof usePinOptions === 'function' ? usePinOptions() : null);
+    const getReview = () => directUploadReviewInstance || (typeof useDirectUploadReview === 'function' ? useDirectUploadReview() : null);
 
     // Helper to get TxComposer and mvc from MetaIDJs
     const getTxComposer = () => {
@@ -30,12 +40,46 @@ const useFileToChainDirect = (dependencies = {}) => {
         return metaidjs ? metaidjs.mvc : null;
     };
 
+    // 'livenet' or 'testnet'; picks the uploader endpoint and the address format
+    const getNetwork = () => {
+        const networkStore = getNetworkStore();
+        const constants = getConstants();
+        return (networkStore && networkStore.network) || (constants && constants.NETWORK) || 'livenet';
+    };
+
     // Constants
-    const API_BASE = 'https://file.metaid.io/metafile-uploader';
+    const API_BASES = {
+        livenet: 'https://file.metaid.io/metafile-uploader'
+    };
+    const MULTI_INPUT_MAX_INPUTS = 20; // Above this the UTXOs are merged first to keep signing short
+    const MAX_FUNDING_ROUNDS = 10; // UTXO re-selections while sizing the upload (see uploadFileToChainDirect)
+    const BASE_TX_SIGHASH = 0x3 | 0x80 | 0x40; // SIGHASH_SINGLE | ANYONE_CAN_PAY
+
+    // Fund the base tx from several inputs instead of merging them first (enable with
+    // CONSTANTS.DIRECT_UPLOAD_MULTI_INPUT). The direct-upload backend then has to accept:
+    //   - preTxHex with N inputs, each signed SIGHASH_SINGLE | ANYONE_CAN_PAY against output i,
+    //     where output 0 is the 1 satoshi receiver output and outputs 1..N-1 are 1 satoshi back to us
+    //   - totalInputAmount: the sum of all N inputs
+    // and append the OP_RETURN and change outputs after output N-1 (test/direct-upload.test.js has a
+    // mock backend that checks exactly this). The wallet has to sign every input in one batch request.
+    const isMultiInputEnabled = () => {
+        const constants = getConstants();
+        return !!(constants && constants.DIRECT_UPLOAD_MULTI_INPUT) && canBatchSign();
+    };
+
+    // Metalet signs several inputs in one request (one confirmation) through signTransactions
+    const canBatchSign = () => typeof window !== 'undefined' && !!window.metaidwallet &&
+        typeof window.metaidwallet.signTransactions === 'function';
 
     // Main function: Upload file to chain directly
-    async function uploadFileToChainDirect(file) {
+    // confirmFee: ask the user to confirm the estimated cost before anything is signed
+    // path, host, version and encryption set the MetaID pin fields; operation 'modify' with targetPinId
+    // publishes the file as a new version of that pin (see normalizePinOptions)
+    async function uploadFileToChainDirect(file, { confirmFee = true, path, host, version, encryption, operation, targetPinId } = {}) {
         try {
+            const pinOptions = normalizePinOptions({ path, host, version, encryption, operation, targetPinId });
+            // Fail before anything is signed when this network has no uploader
+            getApiBase(getConstants());
             const toastObj = getToast();
             const chainStore = getChainStore();
             const userStore = getUserStore();
@@ -46,29 +90,51 @@ const useFileToChainDirect = (dependencies = {}) => {
 
             const { showToast } = toastObj;
 
-            // 2. Build ContentType
-            let contentType = file.type || 'application/octet-stream';
-            if (!contentType.includes(';binary')) {
-                contentType = contentType + ';binary';
-            }
-
             // 3. Estimate upload fee
-            const estimatedFee = await estimateUploadFee(file);
+            let plan = await planFunding(file, 1, pinOptions);
 
-            console.log('💰 Estimated fee:', estimatedFee, 'satoshis');
+            console.log('💰 Estimated fee:', plan.estimatedFee, 'satoshis');
 
             // 4. Get UTXOs
-            const utxos = await getWalletUTXOs(estimatedFee);
+            let utxos = await getWalletUTXOs(plan.requiredAmount);
+
+            // Every extra coin makes the base tx (or the merge tx) larger: size the transactions for the
+            // coins actually selected and select again until those coins cover them
+            for (let round = 0; ; round++) {
+                plan = await planFunding(file, utxos.utxos.length, pinOptions);
+                // getWalletUTXOs adds the 1 satoshi receiver output to the target
+                if (utxos.totalAmount >= plan.requiredAmount + 1) break;
+                if (round >= MAX_FUNDING_ROUNDS) {
+                    throw new Error('Could not find a stable UTXO selection for this upload');
+                }
+                utxos = await getWalletUTXOs(plan.requiredAmount);
+            }
 
             console.log('✅ Got', utxos.utxos.length, 'UTXO(s), total:', utxos.totalAmount, 'satoshis');
 
+            const { inputCount, mergeNeeded, mergeFee, estimatedFee } = plan;
+
+            // Nothing has been signed yet: last chance for the user to back out
+            if (confirmFee) {
+                const confirmed = await confirmDirectUploadFee(file, estimatedFee, {
+                    mergeUtxoCount: mergeNeeded ? utxos.utxos.length : 0,
+                    mergeFee,
+                    inputCount,
+                    pinOptions
+                });
+                if (!confirmed) {
+                    throw new Error('Direct upload user cancelled');
+                }
+            }
+
             // 5. Merge UTXOs if needed
             let finalUtxo = null;
             let mergeTxHex = '';
 
-            if (utxos.utxos.length > 1) {
+            if (mergeNeeded) {
                 console.log('⚠️ Multiple UTXOs detected, merging...');
-                const mergeResult = await mergeUTXOs(utxos, estimatedFee);
+                // The merged output funds the base tx like a single selected coin: fee plus the 1 satoshi receiver output
+                const mergeResult = await mergeUTXOs(utxos, estimatedFee + 1);
 
                 finalUtxo = {
                     utxos: mergeResult.utxos,
@@ -81,7 +147,7 @@ const useFileToChainDirect = (dependencies = {}) => {
                     utxos: utxos.utxos,
                     totalAmount: utxos.totalAmount
                 };
-                console.log('✅ Single UTXO, no merge needed');
+                console.log(`✅ ${utxos.utxos.length} UTXO(s), no merge needed`);
             }
 
             // 6. Build and sign base transaction
@@ -93,7 +159,7 @@ const useFileToChainDirect = (dependencies = {}) => {
             console.log('✅ Base transaction signed');
 
             // 7. Direct upload (one-step: add OP_RETURN + calculate change + broadcast)
-            const uploadResult = await directUpload(file, preTxHex, finalUtxo.totalAmount, mergeTxHex);
+            const uploadResult = await directUpload(file, preTxHex, finalUtxo.totalAmount, mergeTxHex, pinOptions);
 
             console.log('✅ File uploaded successfully!');
             console.log('TxID:', uploadResult.txId);
@@ -107,47 +173,103 @@ const useFileToChainDirect = (dependencies = {}) => {
         }
     }
 
-    // Estimate upload fee
-    async function estimateUploadFee(file) {
-        try {
-            const chainStore = getChainStore();
-            if (!chainStore) throw new Error('ChainStore not available');
+    // Show the estimated cost and resolve to whether the user wants to go on.
+    // mergeUtxoCount: number of UTXOs that have to be merged first (0 when no merge tx is needed)
+    // mergeFee: fee of that merge tx, included in the fee shown
+    async function confirmDirectUploadFee(file, estimatedFee, { mergeUtxoCount = 0, mergeFee = 0, inputCount = 1, pinOptions = normalizePinOptions() } = {}) {
+        const chainStore = getChainStore();
+        const summary = {
+            fileName: file.name,
+            fileSize: file.size,
+            path: buildFilePath(pinOptions),
+            inputCount: inputCount,
+            txSize: estimateUploadTxSize(file, inputCount, pinOptions),
+            feeRate: chainStore.mvcFeeRate() || 1,
+            fee: estimatedFee + mergeFee,
+            mergeNeeded: mergeUtxoCount > 0,
+            mergeUtxoCount: mergeUtxoCount,
+            mergeFee: mergeFee
+        };
+
+        const review = getReview();
+        if (review) {
+            return review.requestDirectUploadReview(summary);
+        }
+
+        // Plain-text fallback when the hook is used without the Vue modal
+        return window.confirm([
+            `Upload "${summary.fileName}" directly on chain?`,
+            `Estimated size: ${summary.txSize} bytes at ${summary.feeRate} sat/byte`,
+            `Estimated fee: ${summary.fee} satoshis`,
+            summary.mergeNeeded ? `${mergeUtxoCount} UTXOs will be merged first for ${mergeFee} satoshis (one more wallet signature)` : 'No UTXO merge needed'
+        ].join('\n'));
+    }
 
-            // Base transaction size estimation
-            const baseSize = 200; // Basic transaction overhead
-            const inputSize = 150; // Per input size (with signature)
-            const outputSize = 34; // Per output size
-            const opReturnOverhead = 50; // OP_RETURN script overhead
+    // Exact size in bytes of the upload transaction: the funding inputs, one 1 satoshi output per
+    // input (the receiver output first), the MetaID OP_RETURN output and the change output
+    function estimateUploadTxSize(file, inputCount = 1, pinOptions = normalizePinOptions()) {
+        const txFee = getTxFee();
+        if (!txFee) throw new Error('Transaction fee module not available');
+
+        return txFee.getTxSize({
+            inputCount: inputCount,
+            outputCount: inputCount + 1,
+            opReturn: {
+                operation: pinOptions.operation,
+                path: buildFilePath(pinOptions),
+                encryption: pinOptions.encryption,
+                version: pinOptions.version,
+                contentType: buildContentType(file),
+                contentSize: file.size
+            }
+        });
+    }
 
-            // File size
-            const fileSize = file.size;
+    // How selectionSize wallet UTXOs fund the upload: spent directly as base tx inputs when multi-input
+    // funding allows that many, otherwise merged into one input first. requiredAmount is what the coins
+    // must hold besides the 1 satoshi receiver output: upload fee, merge fee and the 1 satoshi output
+    // of every further input (see buildAndSignBaseTx)
+    async function planFunding(file, selectionSize, pinOptions) {
+        const mergeNeeded = selectionSize > (isMultiInputEnabled() ? MULTI_INPUT_MAX_INPUTS : 1);
+        const inputCount = mergeNeeded ? 1 : selectionSize;
+        const estimatedFee = await estimateUploadFee(file, { inputCount, pinOptions });
+        const mergeFee = mergeNeeded ? estimateMergeFee(selectionSize) : 0;
+
+        return {
+            inputCount,
+            mergeNeeded,
+            estimatedFee,
+            mergeFee,
+            requiredAmount: estimatedFee + mergeFee + inputCount - 1
+        };
+    }
 
-            // Calculate OP_RETURN output size
-            // MetaID protocol: metaid + operation + path + encryption + version + contentType + content
-            const path = '/file';
-            const fileHost = '';
-            const finalPath = fileHost ? fileHost + ':' + path : path;
+    // Fee of the merge tx that sweeps inputCount wallet UTXOs into a single output (see mergeUTXOs)
+    function estimateMergeFee(inputCount) {
+        const txFee = getTxFee();
+        if (!txFee) throw new Error('Transaction fee module not available');
+        return txFee.calculateFee(txFee.getTxSize({ inputCount: inputCount, outputCount: 1 }), getChainStore().mvcFeeRate() || 1);
+    }
 
-            const metadataSize = 6 + 10 + finalPath.length + 10 + 10 + 50; // Rough estimate
-            const opReturnSize = opReturnOverhead + metadataSize + fileSize;
+    // Estimate upload fee
+    async function estimateUploadFee(file, { inputCount = 1, pinOptions = normalizePinOptions() } = {}) {
+        try {
+            const chainStore = getChainStore();
+            if (!chainStore) throw new Error('ChainStore not available');
 
-            // Total transaction size estimation (1 input, 2 outputs: change + OP_RETURN)
-            const estimatedTxSize = baseSize + inputSize + outputSize * 2 + opReturnSize;
+            const estimatedTxSize = estimateUploadTxSize(file, inputCount, pinOptions);
 
             // Get fee rate
             const feeRate = chainStore.mvcFeeRate() || 1;
 
             // Calculate fee
-            const estimatedFee = Math.ceil(estimatedTxSize * feeRate);
-
-            // Add safety margin (20%)
-            const feeWithMargin = Math.ceil(estimatedFee * 1.2);
+            const estimatedFee = getTxFee().calculateFee(estimatedTxSize, feeRate);
 
             console.log('Estimated tx size:', estimatedTxSize, 'bytes');
             console.log('Fee rate:', feeRate, 'sat/byte');
-            console.log('Estimated fee (with 20% margin):', feeWithMargin, 'satoshis');
+            console.log('Estimated fee:', estimatedFee, 'satoshis');
 
-            return feeWithMargin;
+            return estimatedFee;
         } catch (error) {
             console.error('Failed to estimate upload fee:', error);
             throw new Error(`Failed to estimate upload fee: ${error.message}`);
@@ -167,45 +289,33 @@ const useFileToChainDirect = (dependencies = {}) => {
                 throw new Error('No available UTXOs in wallet');
             }
 
-            // Filter UTXOs: only select UTXOs > 600 satoshis (to ensure change output is possible)
-            const filler = 600;
-            const fillerUtxos = utxos.filter(utxo => utxo.value > filler);
+            // Pick coins with the strategy chosen in Fee Settings (1 satoshi extra for the receiver output)
+            const chainStore = getChainStore();
+            const selection = getUtxoSelection().selectUtxos(
+                utxos,
+                requiredAmount + 1,
+                chainStore.mvcFeeRate() || 1,
+                chainStore.mvcUtxoStrategy()
+            );
 
-            if (!fillerUtxos || fillerUtxos.length === 0) {
-                throw new Error('No UTXOs larger than 600 satoshis available in wallet');
+            if (!selection) {
+                const totalAmount = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
+                throw new Error(`Insufficient balance! Need ${requiredAmount + 1} satoshis, but only have ${totalAmount} satoshis`);
             }
 
-            // Sort UTXOs by amount (descending)
-            const sortedUtxos = fillerUtxos.sort((a, b) => b.value - a.value);
-
-            // Select UTXOs to meet required amount
-            let selectedUtxos = [];
-            let totalAmount = 0;
-
-            for (const utxo of sortedUtxos) {
-                // Convert address to script
-                let scriptHex = mvc.Script.buildPublicKeyHashOut(utxo.address).toHex();
-                selectedUtxos.push({
-                    txId: utxo.txid,
-                    outputIndex: utxo.outIndex,
-                    script: scriptHex,
-                    satoshis: utxo.value
-                });
-                totalAmount += utxo.value;
-
-                // Add buffer for change output (1 satoshi for receiver)
-                if (totalAmount >= requiredAmount + 1) {
-                    break;
-                }
-            }
+            console.log(`🪙 Selected ${selection.utxos.length} UTXO(s) with ${selection.strategy}`);
 
-            if (totalAmount < requiredAmount + 1) {
-                throw new Error(`Insufficient balance! Need ${requiredAmount + 1} satoshis, but only have ${totalAmount} satoshis`);
-            }
+            // Convert address to script
+            const selectedUtxos = selection.utxos.map(utxo => ({
+                txId: utxo.txid,
+                outputIndex: utxo.outIndex,
+                script: mvc.Script.buildPublicKeyHashOut(utxo.address).toHex(),
+                satoshis: utxo.value
+            }));
 
             return {
                 utxos: selectedUtxos,
-                totalAmount: totalAmount
+                totalAmount: selection.totalAmount
             };
         } catch (error) {
             console.error('Failed to get UTXOs:', error);
@@ -213,8 +323,11 @@ const useFileToChainDirect = (dependencies = {}) => {
         }
     }
 
-    // Merge UTXOs
-    async function mergeUTXOs(utxoData, estimatedFee) {
+    // Merge the selected UTXOs into one output of at least fundingAmount.
+    // The merge tx spends exactly the selected coins and sweeps them into that output minus the merge fee,
+    // so pay has nothing left to return as change: whatever the selection strategy left over (nothing
+    // worth a change output with branch and bound) stays in the upload funding.
+    async function mergeUTXOs(utxoData, fundingAmount) {
         try {
             const userStore = getUserStore();
             const chainStore = getChainStore();
@@ -229,13 +342,27 @@ const useFileToChainDirect = (dependencies = {}) => {
                 throw new Error('Wallet does not support pay method');
             }
 
-            // Create merge transaction - we only specify the output
-            // pay method will automatically select inputs, add change, and sign
+            const mergeFee = estimateMergeFee(utxoData.utxos.length);
+            const mergedAmount = utxoData.totalAmount - mergeFee;
+            if (mergedAmount < fundingAmount) {
+                throw new Error(`Selected UTXOs (${utxoData.totalAmount} satoshis) cannot cover ${fundingAmount} satoshis plus the ${mergeFee} satoshi merge fee`);
+            }
+
             const mergeTx = new mvc.Transaction();
             mergeTx.version = 10;
 
-            // Add single output to ourselves (this will merge all UTXOs into one)
-            mergeTx.to(userStore.last.address, estimatedFee);
+            // Add inputs from the selected UTXOs
+            for (const utxo of utxoData.utxos) {
+                mergeTx.from({
+                    txId: utxo.txId,
+                    outputIndex: utxo.outputIndex,
+                    script: utxo.script,
+                    satoshis: utxo.satoshis
+                });
+            }
+
+            // Single output to ourselves holding everything but the merge fee
+            mergeTx.to(userStore.last.address, mergedAmount);
 
             // Create TxComposer for pay method
             const txComposer = new TxComposer(mergeTx);
@@ -253,7 +380,7 @@ const useFileToChainDirect = (dependencies = {}) => {
                 feeb: feeRate,
             };
 
-            // Call pay method - it will auto select inputs, add change, and sign
+            // Call pay method - it signs the inputs above
             const payResult = await window.metaidwallet.pay(payParams);
 
             // Deserialize the payed transaction
@@ -274,7 +401,7 @@ const useFileToChainDirect = (dependencies = {}) => {
             for (let i = 0; i < parsedMergeTx.outputs.length; i++) {
                 const output = parsedMergeTx.outputs[i];
                 try {
-                    const addr = output.script.toAddress(mvc.Networks.livenet);
+                    const addr = output.script.toAddress(mvc.Networks[getNetwork()]);
                     if (addr && addr.toString() === userStore.last.address) {
                         mergedOutputIndex = i;
                         mergedOutputAmount = output.satoshis;
@@ -313,6 +440,9 @@ const useFileToChainDirect = (dependencies = {}) => {
     }
 
     // Build and sign base transaction
+    // Every input is signed with SIGHASH_SINGLE | ANYONE_CAN_PAY, which commits input i to output i,
+    // so each input gets its own 1 satoshi output back to us (output 0 is the receiver output).
+    // The backend can then append the OP_RETURN and change outputs without breaking any signature.
     async function buildAndSignBaseTx(utxoData) {
         try {
             const userStore = getUserStore();
@@ -322,60 +452,45 @@ const useFileToChainDirect = (dependencies = {}) => {
             if (!userStore) throw new Error('UserStore not available');
             if (!mvc || !Buffer) throw new Error('MetaIDJs library (mvc) or Buffer not available');
 
-            // Validate: must have exactly one UTXO for SIGHASH_SINGLE
-            if (!utxoData.utxos || utxoData.utxos.length !== 1) {
-                throw new Error(`SIGHASH_SINGLE requires exactly 1 UTXO, got ${utxoData.utxos ? utxoData.utxos.length : 0}`);
+            if (!utxoData.utxos || utxoData.utxos.length === 0) {
+                throw new Error('No UTXO to fund the base transaction');
+            }
+            if (utxoData.utxos.length > 1 && !isMultiInputEnabled()) {
+                throw new Error(`SIGHASH_SINGLE requires exactly 1 UTXO, got ${utxoData.utxos.length}`);
             }
-
-            const utxo = utxoData.utxos[0]; // Single UTXO
 
             // Create new transaction
             const tx = new mvc.Transaction();
             tx.version = 10; // MVC version
 
-            // Add single input
-            tx.from({
-                txId: utxo.txId,
-                outputIndex: utxo.outputIndex,
-                script: utxo.script,
-                satoshis: utxo.satoshis
-            });
-
-            // Add receiver output (1 satoshi)
-            tx.to(userStore.last.address, 1);
+            for (const utxo of utxoData.utxos) {
+                tx.from({
+                    txId: utxo.txId,
+                    outputIndex: utxo.outputIndex,
+                    script: utxo.script,
+                    satoshis: utxo.satoshis
+                });
+                // Add receiver output (1 satoshi) matching this input
+                tx.to(userStore.last.address, 1);
+            }
 
             // Serialize to hex
             const txHex = tx.toString();
 
-            // Sign the single input with SIGHASH_SINGLE
-            const signResult = await window.metaidwallet.signTransaction({
-                transaction: {
-                    txHex: txHex,
-                    address: userStore.last.address,
-                    inputIndex: 0,
-                    scriptHex: utxo.script,
-                    satoshis: utxo.satoshis,
-                    sigtype: 0x3 | 0x80 | 0x40 // SIGHASH_SINGLE | ANYONE_CAN_PAY
-                }
-            });
+            // ANYONE_CAN_PAY signatures only cover their own input, so all of them sign the same unsigned tx
+            const signatures = await signBaseTxInputs(txHex, utxoData.utxos, userStore.last.address);
 
-            if (!signResult || !signResult.signature || !signResult.signature.sig) {
-                throw new Error('Failed to get signature');
-            }
+            signatures.forEach((signature, i) => {
+                // Build P2PKH unlocking script: <sig> <pubkey>
+                const unlockingScript = mvc.Script.buildPublicKeyHashIn(
+                    signature.publicKey,
+                    mvc.crypto.Signature.fromTxFormat(Buffer.from(signature.sig, 'hex')).toDER(),
+                    BASE_TX_SIGHASH
+                );
 
-            // Build unlocking script (scriptSig) from signature
-            const sig = signResult.signature.sig;
-            const publicKey = signResult.signature.publicKey;
-
-            // Build P2PKH unlocking script: <sig> <pubkey>
-            const unlockingScript = mvc.Script.buildPublicKeyHashIn(
-                publicKey,
-                mvc.crypto.Signature.fromTxFormat(Buffer.from(sig, 'hex')).toDER(),
-                0x3 | 0x80 | 0x40 // SIGHASH_SINGLE | ANYONE_CAN_PAY
-            );
-
-            // Set the unlocking script for this input
-            tx.inputs[0].setScript(unlockingScript);
+                // Set the unlocking script for this input
+                tx.inputs[i].setScript(unlockingScript);
+            });
 
             // Get final signed transaction hex
             const signedTxHex = tx.toString();
@@ -388,8 +503,42 @@ const useFileToChainDirect = (dependencies = {}) => {
         }
     }
 
+    // Signatures ({ sig, publicKey }) for every input of the unsigned base tx, in input order.
+    // Several inputs are signed in one signTransactions request, so the user confirms once.
+    async function signBaseTxInputs(txHex, utxos, address) {
+        const requests = utxos.map((utxo, inputIndex) => ({
+            txHex: txHex,
+            address: address,
+            inputIndex: inputIndex,
+            scriptHex: utxo.script,
+            satoshis: utxo.satoshis,
+            sigtype: BASE_TX_SIGHASH
+        }));
+
+        let signatures;
+        if (canBatchSign()) {
+            const signResult = await window.metaidwallet.signTransactions({ transactions: requests });
+            signatures = Array.isArray(signResult) ? signResult : (signResult && signResult.signatures) || [];
+        } else if (requests.length === 1) {
+            const signResult = await window.metaidwallet.signTransaction({ transaction: requests[0] });
+            signatures = [signResult && signResult.signature];
+        } else {
+            throw new Error('Wallet cannot sign several inputs in one request');
+        }
+
+        if (signatures.length !== requests.length) {
+            throw new Error(`Wallet returned ${signatures.length} signatures for ${requests.length} inputs`);
+        }
+        signatures.forEach((signature, i) => {
+            if (!signature || !signature.sig) {
+                throw new Error(`Failed to get signature for input ${i}`);
+            }
+        });
+        return signatures;
+    }
+
     // Direct upload
-    async function directUpload(file, preTxHex, totalInputAmount, mergeTxHex) {
+    async function directUpload(file, preTxHex, totalInputAmount, mergeTxHex, pinOptions = normalizePinOptions()) {
         try {
             const chainStore = getChainStore();
             const userStore = getUserStore();
@@ -397,29 +546,19 @@ const useFileToChainDirect = (dependencies = {}) => {
 
             if (!chainStore || !userStore) throw new Error('Required stores not available');
 
-            // Build contentType
-            let contentType = file.type || 'application/octet-stream';
-            if (!contentType.includes(';binary')) {
-                contentType = contentType + ';binary';
-            }
-
-            const path = '/file';
-
-            // Add host information to path if provided
-            const fileHost = '';
-            let finalPath = path;
-            if (fileHost) {
-                finalPath = fileHost + ':' + path;
-            }
+            const contentType = buildContentType(file);
+            const finalPath = buildFilePath(pinOptions);
 
             const formData = new FormData();
             formData.append('file', file);
             formData.append('path', finalPath);
+            formData.append('version', pinOptions.version);
+            formData.append('encryption', pinOptions.encryption);
             if (mergeTxHex) {
                 formData.append('mergeTxHex', mergeTxHex);
             }
             formData.append('preTxHex', preTxHex);
-            formData.append('operation', 'create');
+            formData.append('operation', pinOptions.operation);
             formData.append('contentType', contentType);
             formData.append('metaId', userStore.last.metaid);
             formData.append('address', userStore.last.address);
@@ -427,12 +566,8 @@ const useFileToChainDirect = (dependencies = {}) => {
             formData.append('feeRate', chainStore.mvcFeeRate().toString() || '1');
             formData.append('totalInputAmount', totalInputAmount.toString());
 
-            // Use constants if available, otherwise fallback to API_BASE
-            const apiBase = constants && constants.METAFS_API_UPLOADER 
-                ? constants.METAFS_API_UPLOADER 
-                : (constants && constants.METAFS_API_BASE 
-                    ? constants.METAFS_API_BASE 
-                    : API_BASE);
+            // Use constants if available, otherwise fallback to API_BASES
+            const apiBase = getApiBase(constants);
 
             const response = await fetch(`${apiBase}/api/v1/files/direct-upload`, {
                 method: 'POST',
@@ -462,9 +597,63 @@ const useFileToChainDirect = (dependencies = {}) => {
         }
     }
 
+    // MetaFS uploader for the current network. On livenet METAFS_API_UPLOADER / METAFS_API_BASE
+    // still take precedence; other networks come from CONSTANTS.METAFS_API_BASES
+    function getApiBase(constants) {
+        const network = getNetwork();
+        const networkBase = constants && constants.METAFS_API_BASES && constants.METAFS_API_BASES[network];
+        const livenetBase = network === 'livenet' && constants
+            ? (constants.METAFS_API_UPLOADER || constants.METAFS_API_BASE)
+            : null;
+        const apiBase = livenetBase || networkBase || API_BASES[network];
+        if (!apiBase) {
+            throw new Error(`No MetaFS uploader endpoint configured for ${network}`);
+        }
+        return apiBase;
+    }
+
+    // Whether the current network has a MetaFS uploader to upload to
+    function hasUploaderEndpoint() {
+        try {
+            return !!getApiBase(getConstants());
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Build contentType
+    function buildContentType(file) {
+        let contentType = file.type || 'application/octet-stream';
+        if (!contentType.includes(';binary')) {
+            contentType = contentType + ';binary';
+        }
+        return contentType;
+    }
+
+    // MetaID pin fields for an upload, with defaults filled in and checked (see usePinOptions)
+    function normalizePinOptions(options) {
+        const pinOptionsHook = getPinOptions();
+        if (!pinOptionsHook) throw new Error('usePinOptions is not available');
+        return pinOptionsHook.normalizePinOptions(options);
+    }
+
+    // Pin path; modify / revoke address the pin as "@pinId"
+    function buildFilePath(pinOptions) {
+        return getPinOptions().buildPinPath(pinOptions);
+    }
+
+    // Retract a pin: a 'revoke' pin with an empty body addressed to "@pinId". Works for pins from
+    // both direct and chunked uploads (for chunked uploads pass the index pin id)
+    async function revokePin(pinId, { confirmFee = true } = {}) {
+        const emptyFile = new File([], `revoke-${pinId}`, { type: 'text/plain' });
+        return uploadFileToChainDirect(emptyFile, { confirmFee, operation: 'revoke', targetPinId: pinId });
+    }
+
     // Return public API
     return {
         uploadFileToChainDirect,
+        revokePin,
+        hasUploaderEndpoint,
         estimateUploadFee,
         getWalletUTXOs,
         mergeUTXOs,
@@ -0,0 +1,69 @@
+// usePinOptions.js - MetaID Pin Options Hook
+// Defaults, validation and request fields for the pin an upload publishes. Shared by the
+// direct and chunked upload hooks so both accept and reject exactly the same options.
+
+const usePinOptions = () => {
+    // Constants
+    const DEFAULT_PIN_PATH = '/file';
+    const DEFAULT_PIN_VERSION = '1.0.0';
+    const PIN_OPERATIONS = ['create', 'modify', 'revoke'];
+    const PIN_ID_PATTERN = /^[0-9a-f]{64}i\d+$/;
+
+    // MetaID pin fields for an upload, with defaults filled in and checked.
+    // operations: the operations the caller supports (chunked uploads cannot revoke)
+    function normalizePinOptions(options, { operations = PIN_OPERATIONS } = {}) {
+        const { path, host, version, encryption, operation, targetPinId } = options || {};
+        const pinOptions = {
+            operation: operation || 'create',
+            targetPinId: targetPinId || null,
+            path: (path || DEFAULT_PIN_PATH).trim(),
+            host: (host || '').trim(),
+            version: (version || DEFAULT_PIN_VERSION).trim(),
+            encryption: encryption === true || encryption === '1' ? '1' : '0'
+        };
+
+        if (!operations.includes(pinOptions.operation)) {
+            throw new Error(`Unsupported pin operation "${pinOptions.operation}"`);
+        }
+        if (pinOptions.operation !== 'create' && !PIN_ID_PATTERN.test(pinOptions.targetPinId || '')) {
+            throw new Error(`A valid targetPinId is required to ${pinOptions.operation} a pin`);
+        }
+
+        if (!pinOptions.path.startsWith('/') || /\s/.test(pinOptions.path)) {
+            throw new Error(`Invalid MetaID path "${pinOptions.path}": it must start with "/" and contain no spaces`);
+        }
+        if (/[:\s]/.test(pinOptions.host)) {
+            throw new Error(`Invalid MetaID host "${pinOptions.host}": it must not contain ":" or spaces`);
+        }
+        return pinOptions;
+    }
+
+    // Pin path, with host information prepended if provided; modify / revoke address the pin as "@pinId"
+    function buildPinPath(pinOptions) {
+        if (pinOptions.operation !== 'create') {
+            return `@${pinOptions.targetPinId}`;
+        }
+        return pinOptions.host ? pinOptions.host + ':' + pinOptions.path : pinOptions.path;
+    }
+
+    // Pin fields as the uploader endpoints expect them
+    function getPinRequestFields(pinOptions) {
+        return {
+            operation: pinOptions.operation,
+            path: buildPinPath(pinOptions),
+            version: pinOptions.version,
+            encryption: pinOptions.encryption
+        };
+    }
+
+    // Return public API
+    return {
+        DEFAULT_PIN_PATH,
+        DEFAULT_PIN_VERSION,
+        PIN_OPERATIONS,
+        PIN_ID_PATTERN,
+        normalizePinOptions,
+        buildPinPath,
+        getPinRequestFields
+    };
+};
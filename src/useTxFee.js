@@ -0,0 +1,96 @@
+// useTxFee.js - Transaction Fee Hook
+// Sizes transactions by serializing a placeholder copy built with mvc.Transaction,
+// so fee estimates match the real transaction byte for byte
+
+const useTxFee = (dependencies = {}) => {
+    // Extract dependencies (will be passed from index.html)
+    const {
+        MetaIDJsInstance = null,
+        BufferInstance = null,
+        buildOpReturnInstance = null
+    } = dependencies;
+
+    // Helper to get libraries (fallback to global if available)
+    const getMetaIDJs = () => MetaIDJsInstance || (typeof MetaIDJs !== 'undefined' ? MetaIDJs : null);
+    const getBuffer = () => BufferInstance || (typeof window !== 'undefined' && window.Buffer) || null;
+    const getBuildOpReturn = () => buildOpReturnInstance || (typeof buildOpReturnV2 === 'function' ? buildOpReturnV2 : null);
+    const getMvc = () => {
+        const metaidjs = getMetaIDJs();
+        return metaidjs ? metaidjs.mvc : null;
+    };
+
+    // Constants
+    const TX_VERSION = 10; // MVC version
+    const PLACEHOLDER_SIGNATURE_SIZE = 73; // Longest DER signature (72 bytes) plus the sighash byte
+    const PLACEHOLDER_PUBLIC_KEY_SIZE = 33; // Compressed public key
+    const PLACEHOLDER_P2PKH_SCRIPT = '76a914' + '00'.repeat(20) + '88ac';
+    const PLACEHOLDER_TX_ID = '00'.repeat(32);
+    const FEE_SAFETY_MARGIN = 10; // Extra bytes paid for, in case the wallet builds a slightly larger tx
+
+    // Build a transaction shaped like the real one: P2PKH inputs carrying placeholder
+    // signatures, P2PKH outputs and an optional MetaID OP_RETURN output.
+    // opReturn: { operation, path, encryption, version, contentType, contentSize }
+    function buildPlaceholderTx({ inputCount = 1, outputCount = 0, opReturn = null } = {}) {
+        const mvc = getMvc();
+        const Buffer = getBuffer();
+        if (!mvc || !Buffer) throw new Error('MetaIDJs library (mvc) or Buffer not available');
+
+        const tx = new mvc.Transaction();
+        tx.version = TX_VERSION;
+
+        const outputScript = mvc.Script.fromHex(PLACEHOLDER_P2PKH_SCRIPT);
+        const unlockingScript = new mvc.Script()
+            .add(Buffer.alloc(PLACEHOLDER_SIGNATURE_SIZE))
+            .add(Buffer.alloc(PLACEHOLDER_PUBLIC_KEY_SIZE));
+
+        for (let i = 0; i < inputCount; i++) {
+            tx.addInput(new mvc.Transaction.Input({
+                prevTxId: PLACEHOLDER_TX_ID,
+                outputIndex: i,
+                script: unlockingScript
+            }), outputScript, 1000);
+        }
+
+        for (let i = 0; i < outputCount; i++) {
+            tx.addOutput(new mvc.Transaction.Output({ script: outputScript, satoshis: 1 }));
+        }
+
+        if (opReturn) {
+            const buildOpReturn = getBuildOpReturn();
+            if (!buildOpReturn) throw new Error('buildOpReturnV2 not available');
+
+            // Only the length of the body affects the size, so zero bytes stand in for the content
+            const opReturnData = buildOpReturn({
+                operation: opReturn.operation || 'create',
+                path: opReturn.path,
+                encryption: opReturn.encryption,
+                version: opReturn.version,
+                contentType: opReturn.contentType,
+                body: Buffer.alloc(opReturn.contentSize || 0)
+            });
+            tx.addOutput(new mvc.Transaction.Output({
+                script: mvc.Script.buildSafeDataOut(opReturnData),
+                satoshis: 0
+            }));
+        }
+
+        return tx;
+    }
+
+    // Serialized size in bytes of a transaction with the given shape (see buildPlaceholderTx)
+    function getTxSize(options) {
+        return buildPlaceholderTx(options).toBuffer().length;
+    }
+
+    // Fee for a transaction of txSize bytes, including FEE_SAFETY_MARGIN
+    function calculateFee(txSize, feeRate) {
+        return Math.ceil((txSize + FEE_SAFETY_MARGIN) * (feeRate || 1));
+    }
+
+    // Return public API
+    return {
+        buildPlaceholderTx,
+        getTxSize,
+        calculateFee
+    };
+};
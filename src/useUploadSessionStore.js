@@ -0,0 +1,263 @@
+// useUploadSessionStore.js - Upload Session Store Hook
+// Persists multipart upload sessions in IndexedDB so they survive browser restarts
+
+// Shared across hook instances: one database connection and one set of change listeners
+let uploadSessionDbPromise = null;
+const uploadSessionListeners = new Set();
+const uploadSessionMemoryStore = new Map();
+
+const useUploadSessionStore = (dependencies = {}) => {
+    // Extract dependencies (will be passed from index.html)
+    const {
+        indexedDBInstance = null
+    } = dependencies;
+
+    const getIndexedDB = () => indexedDBInstance || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+
+    // Constants
+    const DB_NAME = 'metafile-uploader';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'uploadSessions';
+    const LEGACY_SESSION_PREFIX = 'multipart_upload_';
+    const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Sessions older than 7 days are reported as stale
+
+    // Open (once) the IndexedDB database; resolves to null when IndexedDB is unavailable
+    function openDatabase() {
+        if (uploadSessionDbPromise) return uploadSessionDbPromise;
+
+        const idb = getIndexedDB();
+        if (!idb) {
+            console.warn('IndexedDB not available, upload sessions are kept in memory only');
+            uploadSessionDbPromise = Promise.resolve(null);
+            return uploadSessionDbPromise;
+        }
+
+        uploadSessionDbPromise = new Promise((resolve) => {
+            const request = idb.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('address', 'address', { unique: false });
+                }
+            };
+
+            request.onsuccess = async () => {
+                const db = request.result;
+                await migrateLegacySessions(db);
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to open upload session database:', request.error);
+                resolve(null);
+            };
+        });
+
+        return uploadSessionDbPromise;
+    }
+
+    // Move sessions saved by older versions in localStorage into IndexedDB
+    async function migrateLegacySessions(db) {
+        try {
+            const legacyKeys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(LEGACY_SESSION_PREFIX)) {
+                    legacyKeys.push(key);
+                }
+            }
+
+            for (const legacyKey of legacyKeys) {
+                try {
+                    const legacy = JSON.parse(localStorage.getItem(legacyKey));
+                    // Sessions without a content fingerprint cannot be matched to a file safely
+                    if (legacy && legacy.fileHash && legacy.uploadId) {
+                        await runTransaction(db, 'readwrite', store => store.put({
+                            id: legacyKey,
+                            fileHash: legacy.fileHash,
+                            fileName: legacy.fileName,
+                            fileSize: legacy.fileSize,
+                            metaId: legacy.metaId,
+                            address: legacy.address,
+                            uploadId: legacy.uploadId,
+                            key: legacy.key,
+                            parts: legacy.parts || {},
+                            status: 'uploading',
+                            createdAt: legacy.timestamp || Date.now(),
+                            updatedAt: legacy.timestamp || Date.now()
+                        }));
+                    }
+                } catch (e) {
+                    console.warn('Skipping unreadable legacy upload session:', legacyKey);
+                }
+                localStorage.removeItem(legacyKey);
+            }
+        } catch (error) {
+            console.warn('Failed to migrate legacy upload sessions:', error);
+        }
+    }
+
+    // Run a single request inside a transaction and resolve with its result
+    function runTransaction(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const store = transaction.objectStore(STORE_NAME);
+            const request = operation(store);
+            let result;
+
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    function notifyChange() {
+        uploadSessionListeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Upload session listener failed:', error);
+            }
+        });
+    }
+
+    // Sessions are keyed by the SHA-256 of the file contents
+    function getSessionId(fileHash, metaId, address) {
+        return `${LEGACY_SESSION_PREFIX}${fileHash}_${metaId}_${address}`;
+    }
+
+    function isStale(session) {
+        return Date.now() - (session.updatedAt || session.createdAt || 0) > SESSION_MAX_AGE;
+    }
+
+    async function getSession(id) {
+        const db = await openDatabase();
+        if (!db) return uploadSessionMemoryStore.get(id) || null;
+        return (await runTransaction(db, 'readonly', store => store.get(id))) || null;
+    }
+
+    async function saveSession(session) {
+        const record = {
+            parts: {},
+            createdAt: Date.now(),
+            ...session,
+            updatedAt: Date.now()
+        };
+
+        const db = await openDatabase();
+        if (!db) {
+            uploadSessionMemoryStore.set(record.id, record);
+        } else {
+            await runTransaction(db, 'readwrite', store => store.put(record));
+        }
+        notifyChange();
+        return record;
+    }
+
+    // Read-modify-write in one transaction, so concurrent part uploads never overwrite each other
+    async function updateSession(id, updater) {
+        const db = await openDatabase();
+        let updated = null;
+
+        if (!db) {
+            const current = uploadSessionMemoryStore.get(id);
+            if (current) {
+                updated = { ...updater(current), updatedAt: Date.now() };
+                uploadSessionMemoryStore.set(id, updated);
+            }
+        } else {
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction(STORE_NAME, 'readwrite');
+                const store = transaction.objectStore(STORE_NAME);
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        updated = { ...updater(request.result), updatedAt: Date.now() };
+                        store.put(updated);
+                    }
+                };
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        }
+
+        if (updated) notifyChange();
+        return updated;
+    }
+
+    // Record an uploaded part (etag, size, checksum) so it can be validated on resume
+    function savePart(id, partNumber, partInfo) {
+        return updateSession(id, session => ({
+            ...session,
+            parts: { ...(session.parts || {}), [partNumber]: partInfo }
+        }));
+    }
+
+    async function deleteSession(id) {
+        const db = await openDatabase();
+        if (!db) {
+            uploadSessionMemoryStore.delete(id);
+        } else {
+            await runTransaction(db, 'readwrite', store => store.delete(id));
+        }
+        notifyChange();
+    }
+
+    // List sessions (newest first), optionally for one address, flagging stale ones
+    async function listSessions({ address } = {}) {
+        const db = await openDatabase();
+        let sessions;
+
+        if (!db) {
+            sessions = Array.from(uploadSessionMemoryStore.values());
+        } else {
+            sessions = await runTransaction(db, 'readonly', store => store.getAll());
+        }
+
+        return (sessions || [])
+            .filter(session => !address || session.address === address)
+            .map(session => ({ ...session, stale: isStale(session) }))
+            .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    }
+
+    // Submitted sessions are only kept so a failed task can be retried. Remove them once their task
+    // succeeded (as sync uploads do on completion) or after SESSION_MAX_AGE; returns the number removed
+    async function pruneSubmittedSessions({ finishedTaskIds = [] } = {}) {
+        const finished = new Set(finishedTaskIds);
+        const sessions = await listSessions();
+        const prunable = sessions.filter(session => session.status === 'submitted' && (session.stale || finished.has(session.taskId)));
+
+        for (const session of prunable) {
+            await deleteSession(session.id);
+        }
+        return prunable.length;
+    }
+
+    // Subscribe to session changes; returns an unsubscribe function
+    function onSessionsChange(listener) {
+        uploadSessionListeners.add(listener);
+        return () => uploadSessionListeners.delete(listener);
+    }
+
+    // Return public API
+    return {
+        getSessionId,
+        getSession,
+        saveSession,
+        updateSession,
+        savePart,
+        deleteSession,
+        listSessions,
+        pruneSubmittedSessions,
+        onSessionsChange,
+        isStale
+    };
+};
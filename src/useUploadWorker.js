@@ -0,0 +1,275 @@
+// useUploadWorker.js - Upload Worker Hook
+// Moves hashing, chunk encoding and gzip work for uploads off the main thread.
+// The worker is spawned from a Blob URL so the single-file deployment keeps working.
+
+// Shared across hook instances: one worker and one table of in-flight requests
+let uploadWorkerPromise = null;
+let uploadWorkerNextId = 0;
+const uploadWorkerRequests = new Map();
+
+// Worker entry point. It is serialized with toString(), so it must not use anything from the outer scope.
+function uploadWorkerMain() {
+    const cancelledRequests = new Set();
+
+    function throwIfCancelled(id) {
+        if (cancelledRequests.has(id)) {
+            cancelledRequests.delete(id);
+            throw new Error('Upload user cancelled');
+        }
+    }
+
+    function toBlob(data) {
+        return data instanceof Blob ? data : new Blob([data]);
+    }
+
+    function toHex(bytes) {
+        let hex = '';
+        for (let i = 0; i < bytes.length; i++) {
+            hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+        }
+        return hex;
+    }
+
+    // SHA-256 of the whole file plus one SHA-256 per part, read part by part
+    async function fingerprint(id, { file, partSize }) {
+        const sha256Algo = CryptoJS.algo.SHA256.create();
+        const partHashes = [];
+
+        for (let start = 0; start < file.size; start += partSize) {
+            throwIfCancelled(id);
+            const buffer = await file.slice(start, start + partSize).arrayBuffer();
+            const wordArray = CryptoJS.lib.WordArray.create(buffer);
+            sha256Algo.update(wordArray);
+            partHashes.push(CryptoJS.SHA256(wordArray).toString(CryptoJS.enc.Hex));
+            self.postMessage({ id, type: 'progress', loaded: Math.min(start + partSize, file.size), total: file.size });
+        }
+
+        return {
+            fileHash: sha256Algo.finalize().toString(CryptoJS.enc.Hex),
+            partHashes: partHashes
+        };
+    }
+
+    // Hex contents and SHA-256 of a file, as used for MetaID attachments
+    async function attachment(id, { file, chunkSize }) {
+        const sha256Algo = CryptoJS.algo.SHA256.create();
+        const hexChunks = [];
+
+        for (let start = 0; start < file.size; start += chunkSize) {
+            throwIfCancelled(id);
+            const buffer = await file.slice(start, start + chunkSize).arrayBuffer();
+            sha256Algo.update(CryptoJS.lib.WordArray.create(buffer));
+            hexChunks.push(toHex(new Uint8Array(buffer)));
+            self.postMessage({ id, type: 'progress', loaded: Math.min(start + chunkSize, file.size), total: file.size });
+        }
+
+        return {
+            hex: hexChunks.join(''),
+            sha256: CryptoJS.enc.Hex.stringify(sha256Algo.finalize())
+        };
+    }
+
+    // Base64 (without the data URL prefix) of a Blob or ArrayBuffer
+    function base64(id, { data }) {
+        const dataUrl = new FileReaderSync().readAsDataURL(toBlob(data));
+        return dataUrl.split(',')[1] || '';
+    }
+
+    async function gzip(id, { data }) {
+        const compressedStream = toBlob(data).stream().pipeThrough(new CompressionStream('gzip'));
+        return new Response(compressedStream).arrayBuffer();
+    }
+
+    const handlers = { fingerprint, attachment, base64, gzip };
+
+    self.onmessage = async (event) => {
+        const { id, type, payload } = event.data;
+
+        if (type === 'init') {
+            try {
+                importScripts(payload.cryptoScriptUrl);
+                self.postMessage({ id, type: 'result', result: true });
+            } catch (error) {
+                self.postMessage({ id, type: 'error', message: `Failed to load CryptoJS: ${error.message}` });
+            }
+            return;
+        }
+
+        if (type === 'cancel') {
+            cancelledRequests.add(payload.requestId);
+            return;
+        }
+
+        try {
+            const result = await handlers[type](id, payload);
+            // Hand ArrayBuffer results back without copying
+            self.postMessage({ id, type: 'result', result }, result instanceof ArrayBuffer ? [result] : []);
+        } catch (error) {
+            self.postMessage({ id, type: 'error', message: error.message });
+        } finally {
+            cancelledRequests.delete(id);
+        }
+    };
+}
+
+const useUploadWorker = (dependencies = {}) => {
+    // Extract dependencies (will be passed from index.html)
+    const {
+        cryptoScriptUrl = null
+    } = dependencies;
+
+    // The worker loads the same CryptoJS build as the page
+    const getCryptoScriptUrl = () => {
+        if (cryptoScriptUrl) return cryptoScriptUrl;
+        const script = typeof document !== 'undefined' && document.querySelector('script[src*="crypto.js"]');
+        return script ? script.src : new URL('src/crypto.js', document.baseURI).href;
+    };
+
+    // Constants
+    const ATTACHMENT_CHUNK_SIZE = 20 * 1024 * 1024; // Read attachments in 20MB slices
+
+    function handleWorkerMessage(event) {
+        const { id, type } = event.data;
+        const request = uploadWorkerRequests.get(id);
+        if (!request) return;
+
+        if (type === 'progress') {
+            if (typeof request.onProgress === 'function') {
+                request.onProgress({ loaded: event.data.loaded, total: event.data.total });
+            }
+            return;
+        }
+
+        uploadWorkerRequests.delete(id);
+        if (type === 'result') {
+            request.resolve(event.data.result);
+        } else {
+            request.reject(new Error(event.data.message || 'Upload worker failed'));
+        }
+    }
+
+    function rejectAllRequests(message) {
+        uploadWorkerRequests.forEach(request => request.reject(new Error(message)));
+        uploadWorkerRequests.clear();
+    }
+
+    // Start the worker once; resolves to null when workers are unavailable so callers can fall back
+    function getWorker() {
+        if (uploadWorkerPromise) return uploadWorkerPromise;
+
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL.createObjectURL !== 'function') {
+            uploadWorkerPromise = Promise.resolve(null);
+            return uploadWorkerPromise;
+        }
+
+        uploadWorkerPromise = new Promise((resolve) => {
+            let worker;
+            const workerUrl = URL.createObjectURL(new Blob([`(${uploadWorkerMain.toString()})();`], { type: 'application/javascript' }));
+
+            try {
+                worker = new Worker(workerUrl);
+            } catch (error) {
+                console.warn('⚠️ Upload worker unavailable, running on the main thread:', error.message);
+                URL.revokeObjectURL(workerUrl);
+                resolve(null);
+                return;
+            }
+
+            worker.onmessage = handleWorkerMessage;
+            worker.onerror = (event) => {
+                console.error('Upload worker error:', event.message);
+                rejectAllRequests(`Upload worker error: ${event.message}`);
+            };
+
+            postRequest(worker, 'init', { cryptoScriptUrl: getCryptoScriptUrl() })
+                .then(() => resolve(worker))
+                .catch((error) => {
+                    console.warn('⚠️ Upload worker unavailable, running on the main thread:', error.message);
+                    worker.terminate();
+                    resolve(null);
+                })
+                .finally(() => URL.revokeObjectURL(workerUrl));
+        });
+
+        return uploadWorkerPromise;
+    }
+
+    function postRequest(worker, type, payload, { transfer = [], signal, onProgress } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createCancelError());
+                return;
+            }
+
+            const id = ++uploadWorkerNextId;
+            uploadWorkerRequests.set(id, { resolve, reject, onProgress });
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (!uploadWorkerRequests.has(id)) return;
+                    uploadWorkerRequests.delete(id);
+                    worker.postMessage({ type: 'cancel', payload: { requestId: id } });
+                    reject(createCancelError());
+                }, { once: true });
+            }
+
+            worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    function createCancelError() {
+        const error = new Error('Upload user cancelled');
+        error.cancelled = true;
+        return error;
+    }
+
+    async function runTask(type, payload, options) {
+        const worker = await getWorker();
+        if (!worker) throw new Error('Upload worker not available');
+        return postRequest(worker, type, payload, options);
+    }
+
+    // Whether the worker started; callers use their main-thread code path otherwise
+    async function isAvailable() {
+        return !!(await getWorker());
+    }
+
+    // Resolves to { fileHash, partHashes } (SHA-256 hex)
+    function computeFingerprint(file, { partSize, signal, onProgress } = {}) {
+        return runTask('fingerprint', { file, partSize }, { signal, onProgress });
+    }
+
+    // Resolves to { hex, sha256 } for the whole file
+    function fileToHex(file, { signal, onProgress } = {}) {
+        return runTask('attachment', { file, chunkSize: ATTACHMENT_CHUNK_SIZE }, { signal, onProgress });
+    }
+
+    // data: Blob or ArrayBuffer (ArrayBuffers are transferred and become unusable in the caller)
+    function encodeBase64(data, { signal } = {}) {
+        return runTask('base64', { data }, { signal, transfer: data instanceof ArrayBuffer ? [data] : [] });
+    }
+
+    // data: string, Blob or ArrayBuffer; resolves to the gzip-compressed ArrayBuffer
+    function gzip(data, { signal } = {}) {
+        const buffer = typeof data === 'string' ? new TextEncoder().encode(data).buffer : data;
+        return runTask('gzip', { data: buffer }, { signal, transfer: buffer instanceof ArrayBuffer ? [buffer] : [] });
+    }
+
+    // Stop the worker; the next call starts a new one
+    async function terminate() {
+        const worker = uploadWorkerPromise && await uploadWorkerPromise;
+        uploadWorkerPromise = null;
+        rejectAllRequests('Upload worker terminated');
+        if (worker) worker.terminate();
+    }
+
+    // Return public API
+    return {
+        isAvailable,
+        computeFingerprint,
+        fileToHex,
+        encodeBase64,
+        gzip,
+        terminate
+    };
+};
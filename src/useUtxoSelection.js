@@ -0,0 +1,151 @@
+// useUtxoSelection.js - UTXO Selection Hook
+// Coin selection strategies for wallet uploads. Every strategy is a pure function of
+// (utxos, target, feeRate) so it can be tested without a wallet.
+
+const useUtxoSelection = () => {
+    // Constants
+    // Size of a P2PKH input with a placeholder signature, as serialized by useTxFee:
+    // 36 outpoint + 1 script length + 108 scriptSig + 4 sequence
+    const P2PKH_INPUT_SIZE = 149;
+    const P2PKH_OUTPUT_SIZE = 34;
+    const DUST_LIMIT = 546; // Smallest change output worth creating
+    const BNB_MAX_TRIES = 100000; // Branch-and-bound search budget
+    const DEFAULT_STRATEGY = 'largestFirst';
+
+    // Cost of spending one input at the given fee rate
+    function getInputFee(feeRate) {
+        return Math.ceil(P2PKH_INPUT_SIZE * (feeRate || 1));
+    }
+
+    // Value a coin adds once its own input fee is paid; coins worth less than that are skipped
+    function withEffectiveValues(utxos, feeRate) {
+        const inputFee = getInputFee(feeRate);
+        return (utxos || [])
+            .map(utxo => ({ utxo, effectiveValue: utxo.value - inputFee }))
+            .filter(coin => coin.effectiveValue > 0);
+    }
+
+    // target already includes the fee for one input (callers size their transaction with one),
+    // so a selection is enough when its effective values cover target minus that input fee
+    function getEffectiveTarget(target, feeRate) {
+        return target - getInputFee(feeRate);
+    }
+
+    function toSelection(coins, strategy) {
+        return {
+            strategy: strategy,
+            utxos: coins.map(coin => coin.utxo),
+            totalAmount: coins.reduce((sum, coin) => sum + coin.utxo.value, 0)
+        };
+    }
+
+    // Take the largest coins until the target is covered
+    function largestFirst(utxos, target, feeRate) {
+        const effectiveTarget = getEffectiveTarget(target, feeRate);
+        const coins = withEffectiveValues(utxos, feeRate).sort((a, b) => b.effectiveValue - a.effectiveValue);
+        const selected = [];
+        let effectiveTotal = 0;
+
+        for (const coin of coins) {
+            selected.push(coin);
+            effectiveTotal += coin.effectiveValue;
+            if (effectiveTotal >= effectiveTarget) {
+                return toSelection(selected, 'largestFirst');
+            }
+        }
+        return null;
+    }
+
+    // Branch and bound: look for a set of coins that overshoots the target by less than a
+    // change output would cost, so the transaction needs no change
+    function branchAndBound(utxos, target, feeRate) {
+        const effectiveTarget = getEffectiveTarget(target, feeRate);
+        const costOfChange = Math.ceil(P2PKH_OUTPUT_SIZE * (feeRate || 1)) + DUST_LIMIT;
+        const coins = withEffectiveValues(utxos, feeRate).sort((a, b) => b.effectiveValue - a.effectiveValue);
+
+        // remaining[i]: effective value of coins[i..] (upper bound of what the branch can still add)
+        const remaining = new Array(coins.length + 1).fill(0);
+        for (let i = coins.length - 1; i >= 0; i--) {
+            remaining[i] = remaining[i + 1] + coins[i].effectiveValue;
+        }
+        if (remaining[0] < effectiveTarget) return null;
+
+        let tries = 0;
+        let best = null;
+        let bestWaste = Infinity;
+        const included = [];
+
+        function search(index, total) {
+            if (++tries > BNB_MAX_TRIES || bestWaste === 0) return;
+            if (total > effectiveTarget + costOfChange) return;
+            // A transaction needs at least one input, even for a target its fee already covers
+            if (total >= effectiveTarget && included.length > 0) {
+                const waste = total - effectiveTarget;
+                if (waste < bestWaste) {
+                    bestWaste = waste;
+                    best = included.slice();
+                }
+                return;
+            }
+            if (index >= coins.length || total + remaining[index] < effectiveTarget) return;
+
+            // Include the coin first, then try without it
+            included.push(coins[index]);
+            search(index + 1, total + coins[index].effectiveValue);
+            included.pop();
+            search(index + 1, total);
+        }
+
+        search(0, 0);
+        return best ? toSelection(best, 'branchAndBound') : null;
+    }
+
+    // The smallest single coin that covers the target, so no merge transaction is needed
+    function smallestSufficient(utxos, target, feeRate) {
+        const effectiveTarget = getEffectiveTarget(target, feeRate);
+        const coin = withEffectiveValues(utxos, feeRate)
+            .filter(item => item.effectiveValue >= effectiveTarget)
+            .sort((a, b) => a.effectiveValue - b.effectiveValue)[0];
+        return coin ? toSelection([coin], 'smallestSufficient') : null;
+    }
+
+    // Spend the smallest coins first, sweeping dust-sized UTXOs together while fees are low
+    function consolidate(utxos, target, feeRate) {
+        const effectiveTarget = getEffectiveTarget(target, feeRate);
+        const coins = withEffectiveValues(utxos, feeRate).sort((a, b) => a.effectiveValue - b.effectiveValue);
+        const selected = [];
+        let effectiveTotal = 0;
+
+        for (const coin of coins) {
+            selected.push(coin);
+            effectiveTotal += coin.effectiveValue;
+            if (effectiveTotal >= effectiveTarget) {
+                return toSelection(selected, 'consolidate');
+            }
+        }
+        return null;
+    }
+
+    const STRATEGIES = {
+        largestFirst: { label: 'Largest first', select: largestFirst },
+        branchAndBound: { label: 'Exact match (no change)', select: branchAndBound },
+        smallestSufficient: { label: 'Single coin (no merge)', select: smallestSufficient },
+        consolidate: { label: 'Consolidate small coins', select: consolidate }
+    };
+
+    // Select coins with the given strategy, falling back to largest-first when it finds nothing.
+    // utxos: wallet UTXOs ({ txid, outIndex, value, address }); returns
+    // { strategy, utxos, totalAmount } or null when the wallet cannot cover the target
+    function selectUtxos(utxos, target, feeRate, strategy = DEFAULT_STRATEGY) {
+        const chosen = STRATEGIES[strategy] || STRATEGIES[DEFAULT_STRATEGY];
+        return chosen.select(utxos, target, feeRate) || largestFirst(utxos, target, feeRate);
+    }
+
+    // Return public API
+    return {
+        STRATEGIES,
+        DEFAULT_STRATEGY,
+        selectUtxos,
+        getInputFee
+    };
+};
@@ -0,0 +1,106 @@
+// useChunkTaskStore polling: tasks that are still running beyond the first page are refreshed from
+// the page they were loaded from. Pinia is replaced by a minimal defineStore, the task endpoint by
+// an in-memory list served in pages of 10 (the cursor is the offset, newest task first).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadFromIndex } = require('./helpers/load');
+
+function loadChunkTaskStore(serverTasks) {
+    const context = createContext();
+    const timers = [];
+    const fetchedCursors = [];
+    const { useChunkTaskStore } = loadFromIndex(context, ['function isActiveTaskStatus(', 'const useChunkTaskStore = '], {
+        TASK_POLL_ACTIVE_INTERVAL: 3000,
+        TASK_POLL_IDLE_INTERVAL: 15000,
+        TASK_POLL_MAX_INTERVAL: 120000,
+        chunkTaskPollTimer: null,
+        setTimeout: (callback) => timers.push(callback),
+        useLocalStorage: (key, initial) => initial,
+        defineStore: (id, { state, getters, actions }) => {
+            const store = state();
+            for (const [name, getter] of Object.entries(getters)) {
+                Object.defineProperty(store, name, { get: () => getter.call(store, store) });
+            }
+            for (const [name, action] of Object.entries(actions)) store[name] = action.bind(store);
+            return () => store;
+        },
+        useUserStore: () => ({ last: { address: '1Address' } }),
+        useToast: () => ({ showToast() {} }),
+        useUploadSessionStore: () => ({ pruneSubmittedSessions: async () => 0 }),
+        getUploadHookDependencies: () => ({}),
+        useChunkUpload: () => ({
+            fetchChunkTaskPage: async (cursor) => {
+                fetchedCursors.push(cursor);
+                const page = serverTasks.slice(cursor, cursor + 10).map(task => ({ ...task }));
+                return { tasks: page, nextCursor: cursor + page.length, hasMore: cursor + page.length < serverTasks.length };
+            }
+        })
+    });
+    return { store: useChunkTaskStore(), timers, fetchedCursors };
+}
+
+// Newest first; the tasks at the given indexes are still processing
+function createServerTasks(count, activeIndexes) {
+    return Array.from({ length: count }, (_, i) => ({
+        taskId: `task-${count - i}`,
+        status: activeIndexes.includes(i) ? 'processing' : 'success',
+        processedChunks: 0
+    }));
+}
+
+async function loadAllPages(store) {
+    await store.loadTasks();
+    await store.loadMore();
+    await store.loadMore();
+}
+
+test('polling refreshes running tasks on later pages, also after newer tasks pushed them back', async () => {
+    // task-16 ends the first page, task-11 sits on the second, task-6 ends it
+    const serverTasks = createServerTasks(25, [9, 14, 19]);
+    const { store, timers, fetchedCursors } = loadChunkTaskStore(serverTasks);
+    await loadAllPages(store);
+    fetchedCursors.length = 0;
+
+    // A new task moves every task one place back; the running ones make progress
+    serverTasks.unshift({ taskId: 'task-26', status: 'pending' });
+    serverTasks.forEach(task => {
+        if (task.status === 'processing') task.processedChunks = 5;
+    });
+    store.startPolling();
+    await timers.shift()();
+
+    const byId = Object.fromEntries(store.tasks.map(task => [task.taskId, task]));
+    assert.deepEqual(['task-16', 'task-11', 'task-6'].map(taskId => byId[taskId].processedChunks), [5, 5, 5]);
+    assert.deepEqual(fetchedCursors, [0, 10, 20], 'the first page, the second, then the third for task-6');
+    assert.equal(store.tasks.length, 26);
+    assert.equal(timers.length, 1, 'the next poll is scheduled');
+});
+
+test('polling only reads the first page when nothing runs on later pages', async () => {
+    const { store, timers, fetchedCursors } = loadChunkTaskStore(createServerTasks(25, [3]));
+    await loadAllPages(store);
+    fetchedCursors.length = 0;
+
+    store.startPolling();
+    await timers.shift()();
+
+    assert.deepEqual(fetchedCursors, [0]);
+});
+
+test('a running task pushed off the first page is refreshed on the second', async () => {
+    const serverTasks = createServerTasks(15, [9]);
+    const { store, timers, fetchedCursors } = loadChunkTaskStore(serverTasks);
+    await store.loadTasks();
+    await store.loadMore();
+
+    serverTasks.unshift({ taskId: 'task-16', status: 'pending' });
+    store.startPolling();
+    await timers.shift()();
+    serverTasks[10].status = 'success';
+    fetchedCursors.length = 0;
+    await timers.shift()();
+
+    assert.equal(store.tasks.find(task => task.taskId === 'task-6').status, 'success');
+    assert.deepEqual(fetchedCursors, [0, 10]);
+});
@@ -0,0 +1,722 @@
+// useChunkUpload against a mock multipart uploader (test/helpers/uploader.js) with the in-memory
+// upload session store. Hashing, base64 and gzip run in Node through a stand-in for the upload worker.
+//
+// The retryChunkTask tests that sign with a mock wallet need mvc-lib, see test/tx-fee.test.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHash, randomBytes } = require('crypto');
+const zlib = require('zlib');
+const { createContext, loadScripts, loadFromIndex } = require('./helpers/load');
+const { createMockMultipartUploader } = require('./helpers/uploader');
+const { createMockWallet } = require('./helpers/wallet');
+
+let mvc = null;
+try {
+    mvc = require('mvc-lib');
+} catch (error) {
+    // reported through the skip reason of the wallet tests
+}
+
+const API_BASE = 'https://uploader.test/metafile-uploader';
+const ADDRESS = '1TestAddress';
+const PART_SIZE = 1024 * 1024;
+const UPLOAD_PART = 'POST /api/v1/files/multipart/upload-part';
+
+const sha256 = data => createHash('sha256').update(data).digest('hex');
+
+// useUploadWorker's API, computed in Node
+function createNodeUploadWorker() {
+    return {
+        isAvailable: async () => true,
+        async computeFingerprint(file, { partSize, onProgress }) {
+            const bytes = Buffer.from(await file.arrayBuffer());
+            const partHashes = [];
+            for (let start = 0; start < bytes.length; start += partSize) {
+                partHashes.push(sha256(bytes.subarray(start, start + partSize)));
+                if (onProgress) onProgress({ loaded: Math.min(start + partSize, bytes.length), total: bytes.length });
+            }
+            return { fileHash: sha256(bytes), partHashes };
+        },
+        encodeBase64: async data => Buffer.from(await new Blob([data]).arrayBuffer()).toString('base64'),
+        gzip: async data => zlib.gzipSync(Buffer.from(await new Blob([data]).arrayBuffer()))
+    };
+}
+
+// random: Math.random inside the hook (backoff jitter). Timers fire at once; their delays are recorded.
+function loadChunkUpload({ partEncodings, routes, tasks, constants = {}, random = Math.random, extraDependencies = {}, globals = {} } = {}) {
+    const uploader = createMockMultipartUploader({ apiBase: API_BASE, partEncodings, routes, tasks });
+    const delays = [];
+    const context = createContext({
+        fetch: uploader.fetch,
+        document: { getElementById: () => null },
+        CompressionStream,
+        Math: Object.assign(Object.create(Math), { random }),
+        setTimeout: (callback, ms, ...args) => {
+            delays.push(ms);
+            return setTimeout(callback, 0, ...args);
+        },
+        ...globals
+    });
+    const { useUploadSessionStore, useChunkUpload } = loadScripts(context,
+        ['useUploadSessionStore.js', 'usePinOptions.js', 'useChunkUpload.js'],
+        ['useUploadSessionStore', 'useChunkUpload']);
+
+    const sessionStore = useUploadSessionStore();
+    const toasts = [];
+    const dependencies = {
+        toastInstance: { showToast: (message, type) => toasts.push({ message, type }) },
+        chainStoreInstance: { mvcFeeRate: () => 1, mvcUtxoStrategy: () => 'largestFirst' },
+        userStoreInstance: { last: { address: ADDRESS, metaid: 'metaid' } },
+        constantsInstance: { NETWORK: 'livenet', METAFS_API_BASES: { livenet: API_BASE }, ...constants },
+        uploadSessionStoreInstance: sessionStore,
+        uploadWorkerInstance: createNodeUploadWorker(),
+        ...extraDependencies
+    };
+    const hook = useChunkUpload(dependencies);
+    return { hook, uploader, sessionStore, delays, toasts, context, dependencies };
+}
+
+// A file of the given number of 1MB parts; part i is filled with byte seed + i
+function createFile(partCount, { seed = 1, name = 'video.bin', lastPartSize = PART_SIZE } = {}) {
+    const parts = Array.from({ length: partCount }, (_, i) => Buffer.alloc(i === partCount - 1 ? lastPartSize : PART_SIZE, seed + i));
+    return new File(parts, name, { type: 'application/octet-stream' });
+}
+
+const partNumberOf = request => (request.json ? request.json.partNumber : Number(request.query.get('partNumber')));
+
+// Resolves once the signal aborts; rejects if it never does
+function waitForAbort(signal, ms = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('request was never aborted')), ms);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+test('the first failed part aborts the parts in flight and nothing is recorded afterwards', async () => {
+    const inFlight = [];
+    const { hook, uploader, sessionStore } = loadChunkUpload({
+        routes: {
+            [UPLOAD_PART]: async (request, defaultRoute) => {
+                if (partNumberOf(request) === 1) {
+                    // Fail once the other workers have their requests open
+                    await new Promise(resolve => setImmediate(resolve));
+                    return { status: 400 };
+                }
+                inFlight.push(request);
+                await waitForAbort(request.signal);
+                return defaultRoute(request);
+            }
+        }
+    });
+
+    await assert.rejects(hook.uploadFileToOSS(createFile(6), { concurrency: 3 }), /Failed to upload part 1 after 1 attempt\(s\): HTTP 400/);
+
+    assert.equal(inFlight.length, 2);
+    assert.ok(inFlight.every(request => request.signal.aborted), 'parts in flight are aborted');
+    const partRequests = uploader.requestsTo(UPLOAD_PART).length;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(uploader.requestsTo(UPLOAD_PART).length, partRequests, 'no part is started after the failure');
+    const [session] = await sessionStore.listSessions();
+    assert.deepEqual(Object.keys(session.parts), [], 'aborted parts are not recorded');
+});
+
+// Serve each upload-part attempt from a script of responses; 'ok' stores the part, 'throw' is a network error
+function scriptedParts(script) {
+    let attempt = 0;
+    return async (request, defaultRoute) => {
+        const step = script[Math.min(attempt++, script.length - 1)];
+        if (step === 'ok') return defaultRoute(request);
+        if (step === 'throw') throw new TypeError('Failed to fetch');
+        return step;
+    };
+}
+
+test('transient part errors are retried with jittered exponential backoff', async () => {
+    for (const [random, expectedDelays] of [[0, [250, 500, 1000]], [0.5, [375, 750, 1500]]]) {
+        const { hook, uploader, delays } = loadChunkUpload({
+            random: () => random,
+            routes: { [UPLOAD_PART]: scriptedParts([{ status: 503 }, 'throw', { body: { code: 1, message: 'storage busy' } }, 'ok']) }
+        });
+
+        await hook.uploadFileToOSS(createFile(1));
+
+        assert.equal(uploader.requestsTo(UPLOAD_PART).length, 4, '5xx, network and unknown business errors are retried');
+        assert.deepEqual(delays, expectedDelays, `delays with Math.random() = ${random}`);
+    }
+});
+
+test('Retry-After is honoured and the delay is capped', async () => {
+    const { hook, delays } = loadChunkUpload({
+        random: () => 0.999,
+        routes: { [UPLOAD_PART]: scriptedParts([{ status: 429, headers: { 'Retry-After': '3' } }, { status: 500 }, { status: 500 }, { status: 500 }, { status: 500 }, 'ok']) }
+    });
+
+    await hook.uploadFileToOSS(createFile(1), { maxRetries: 5 });
+
+    assert.equal(delays[0], 3000, 'Retry-After wins over a shorter backoff');
+    assert.ok(delays.every(delay => delay <= 8000), `delays stay under the cap: ${delays}`);
+    assert.ok(delays[4] > 7900);
+});
+
+test('fatal part errors fail at once and retries are bounded', async () => {
+    const cases = [
+        [{ status: 400 }, 1, /HTTP 400/],
+        [{ status: 403 }, 1, /HTTP 403/],
+        [{ body: { code: 1, message: 'Upload ID expired' } }, 1, /Upload ID expired/],
+        [{ body: { code: 1, message: 'Invalid part number' } }, 1, /Invalid part/],
+        [{ status: 502 }, 3, /after 3 attempt\(s\): HTTP 502/]
+    ];
+    for (const [response, attempts, message] of cases) {
+        const { hook, uploader } = loadChunkUpload({ routes: { [UPLOAD_PART]: scriptedParts([response]) } });
+
+        await assert.rejects(hook.uploadFileToOSS(createFile(1), { maxRetries: 2 }), message);
+        assert.equal(uploader.requestsTo(UPLOAD_PART).length, attempts, JSON.stringify(response));
+    }
+});
+
+test('pausing lets parts in flight finish and holds the pool until resume', async () => {
+    const states = [];
+    let handle;
+    let release;
+    const released = new Promise(resolve => {
+        release = resolve;
+    });
+    const { hook, uploader } = loadChunkUpload({
+        routes: {
+            [UPLOAD_PART]: async (request, defaultRoute) => {
+                if (partNumberOf(request) === 1) handle.pause();
+                if (partNumberOf(request) <= 2) await released;
+                return defaultRoute(request);
+            }
+        }
+    });
+    handle = hook.createUploadHandle({ onStateChange: state => states.push(state) });
+
+    const upload = hook.uploadFileToOSS(createFile(5), { concurrency: 2, handle });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    release();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.equal(handle.paused, true);
+    assert.equal(uploader.requestsTo(UPLOAD_PART).length, 2, 'no new part starts while paused');
+    assert.equal([...uploader.uploads.values()][0].parts.size, 2, 'parts in flight completed');
+
+    handle.resume();
+    assert.match(await upload, /^multipart\/upload-1\//);
+    assert.equal(uploader.requestsTo(UPLOAD_PART).length, 5);
+    assert.deepEqual(states, ['paused', 'uploading']);
+});
+
+test('cancelling aborts the requests, the server-side upload and the resume session', async () => {
+    let handle;
+    const { hook, uploader, sessionStore } = loadChunkUpload({
+        routes: {
+            [UPLOAD_PART]: async (request) => {
+                handle.cancel();
+                await waitForAbort(request.signal);
+                return { status: 500 };
+            }
+        }
+    });
+    handle = hook.createUploadHandle();
+
+    const error = await hook.uploadFileToOSS(createFile(3), { handle }).catch(rejection => rejection);
+
+    assert.equal(error.cancelled, true);
+    assert.equal(handle.cancelled, true);
+    const [abortRequest] = uploader.requestsTo('POST /api/v1/files/multipart/abort');
+    assert.equal(abortRequest.json.uploadId, 'upload-1');
+    assert.equal([...uploader.uploads.values()][0].status, 'aborted');
+    assert.equal((await sessionStore.listSessions()).length, 0);
+});
+
+test('cancelling without abortServer keeps the upload resumable', async () => {
+    let handle;
+    const { hook, uploader, sessionStore } = loadChunkUpload({
+        routes: {
+            [UPLOAD_PART]: async (request, defaultRoute) => {
+                if (partNumberOf(request) === 2) {
+                    handle.cancel({ abortServer: false });
+                    await waitForAbort(request.signal);
+                }
+                return defaultRoute(request);
+            }
+        }
+    });
+    handle = hook.createUploadHandle();
+
+    await assert.rejects(hook.uploadFileToOSS(createFile(3), { concurrency: 1, handle }), /user cancelled/);
+
+    assert.equal(uploader.requestsTo('POST /api/v1/files/multipart/abort').length, 0);
+    const [session] = await sessionStore.listSessions();
+    assert.equal(session.status, 'uploading');
+    assert.deepEqual(Object.keys(session.parts), ['1']);
+});
+
+test('cancelling a paused handle releases everything waiting on it', async () => {
+    const { hook } = loadChunkUpload();
+    const states = [];
+    const handle = hook.createUploadHandle({ onStateChange: state => states.push(state) });
+
+    handle.pause();
+    const waiting = handle.waitIfPaused();
+    handle.cancel();
+
+    await assert.rejects(waiting, /user cancelled/);
+    assert.throws(() => handle.throwIfCancelled(), /user cancelled/);
+    assert.equal(handle.paused, false);
+    assert.equal(handle.abortServer, true);
+    handle.pause();
+    handle.resume();
+    assert.deepEqual(states, ['paused', 'cancelled'], 'a cancelled handle cannot be paused again');
+});
+
+// Upload routes that fail part failPart with a fatal error until failPart is cleared
+function loadInterruptedUpload(options = {}) {
+    const state = { failPart: 3 };
+    const loaded = loadChunkUpload({
+        ...options,
+        routes: {
+            [UPLOAD_PART]: (request, defaultRoute) => (partNumberOf(request) === state.failPart ? { status: 400 } : defaultRoute(request))
+        }
+    });
+    return { ...loaded, state };
+}
+
+test('a session is keyed by the file contents and resumes with only the missing parts', async () => {
+    const { hook, uploader, sessionStore, state } = loadInterruptedUpload();
+    const file = createFile(5);
+
+    await assert.rejects(hook.uploadFileToOSS(file, { concurrency: 1 }), /part 3/);
+    const [session] = await sessionStore.listSessions();
+    assert.equal(session.fileHash, sha256(Buffer.from(await file.arrayBuffer())));
+    assert.equal(session.id, sessionStore.getSessionId(session.fileHash, 'metaid', ADDRESS));
+    assert.equal(session.parts[1].checksum, sha256(Buffer.alloc(PART_SIZE, 1)));
+    assert.equal(session.parts[2].size, PART_SIZE);
+
+    // Same contents under another name: the fingerprint, not the name, finds the session
+    state.failPart = 0;
+    const renamed = new File([file], 'renamed.bin', { type: file.type });
+    const progress = [];
+    const storageKey = await hook.uploadFileToOSS(renamed, { concurrency: 1, onProgress: event => progress.push(event.loaded) });
+
+    assert.equal(uploader.requestsTo('POST /api/v1/files/multipart/initiate').length, 1, 'no new multipart upload');
+    assert.deepEqual(uploader.requestsTo(UPLOAD_PART).map(partNumberOf), [1, 2, 3, 3, 4, 5]);
+    assert.deepEqual(progress, [2, 3, 4, 5].map(parts => parts * PART_SIZE), 'resumed parts count as uploaded');
+    assert.equal((await sessionStore.getSession(session.id)).storageKey, storageKey);
+
+    // A file that already reached OSS goes straight to the on-chain steps
+    assert.equal(await hook.uploadFileToOSS(renamed), storageKey);
+    assert.equal(uploader.requestsTo(UPLOAD_PART).length, 6);
+});
+
+test('server parts that do not match the recorded part are uploaded again', async () => {
+    const { hook, uploader, sessionStore, state } = loadInterruptedUpload();
+    const file = createFile(4);
+    await assert.rejects(hook.uploadFileToOSS(file, { concurrency: 1 }), /part 3/);
+
+    // Part 1 was overwritten on the server; part 2's record says it holds other data
+    const upload = [...uploader.uploads.values()][0];
+    upload.parts.get(1).etag = 'overwritten';
+    const [session] = await sessionStore.listSessions();
+    await sessionStore.savePart(session.id, 2, { ...session.parts[2], checksum: sha256('something else') });
+
+    state.failPart = 0;
+    await hook.uploadFileToOSS(file, { concurrency: 1 });
+
+    assert.deepEqual(uploader.requestsTo(UPLOAD_PART).slice(3).map(partNumberOf), [1, 2, 3, 4]);
+});
+
+test('resuming a stored session only accepts the file it was created for', async () => {
+    const { hook, sessionStore } = loadInterruptedUpload();
+    const file = createFile(4);
+    await assert.rejects(hook.uploadFileToOSS(file, { concurrency: 1 }), /part 3/);
+    const [session] = await sessionStore.listSessions();
+
+    await assert.rejects(hook.resumeUploadSession(session, createFile(4, { seed: 9 })), /Selected file does not match/);
+    await assert.rejects(hook.resumeUploadSession(session, createFile(4, { lastPartSize: 10 })), /Selected file does not match/);
+    await assert.rejects(hook.resumeUploadSession({ ...session, address: 'someone else' }, file), /belongs to another address/);
+});
+
+const isBinaryPart = request => request.headers['Content-Type'] === 'application/octet-stream';
+
+test('parts go up as raw bytes when the backend advertises binary parts', async () => {
+    const { hook, uploader, sessionStore } = loadChunkUpload({ partEncodings: ['json', 'binary'] });
+
+    await hook.uploadFileToOSS(createFile(2, { lastPartSize: 100 }), { concurrency: 1 });
+
+    const partRequests = uploader.requestsTo(UPLOAD_PART);
+    assert.ok(partRequests.every(isBinaryPart));
+    assert.equal(partRequests[1].query.get('uploadId'), 'upload-1');
+    assert.equal(partRequests[1].query.get('partNumber'), '2');
+    assert.equal(partRequests[1].body.size, 100);
+    assert.equal((await sessionStore.listSessions())[0].partEncoding, 'binary');
+});
+
+test('a backend that rejects binary parts gets base64 JSON from then on, also after a resume', async () => {
+    const state = { failPart: 3 };
+    const { hook, uploader, sessionStore, delays } = loadChunkUpload({
+        partEncodings: ['json', 'binary'],
+        routes: {
+            [UPLOAD_PART]: (request, defaultRoute) => {
+                if (isBinaryPart(request)) return { status: 415 };
+                return partNumberOf(request) === state.failPart ? { status: 400 } : defaultRoute(request);
+            }
+        }
+    });
+    const file = createFile(4);
+
+    await assert.rejects(hook.uploadFileToOSS(file, { concurrency: 1 }), /part 3/);
+    const [session] = await sessionStore.listSessions();
+    assert.equal(session.partEncoding, 'json', 'the downgrade is stored with the session');
+    assert.deepEqual(delays, [], 'the fallback is not a retry');
+
+    state.failPart = 0;
+    await hook.uploadFileToOSS(file, { concurrency: 1 });
+
+    const partRequests = uploader.requestsTo(UPLOAD_PART);
+    assert.deepEqual(partRequests.map(request => (isBinaryPart(request) ? 'binary' : 'json')), ['binary', 'json', 'json', 'json', 'json', 'json']);
+    assert.deepEqual(partRequests.map(partNumberOf), [1, 1, 2, 3, 3, 4]);
+    assert.equal(Buffer.from(partRequests[1].json.content, 'base64').equals(Buffer.alloc(PART_SIZE, 1)), true);
+});
+
+test('backends that do not list part encodings get base64 JSON', async () => {
+    const { hook, uploader } = loadChunkUpload({ partEncodings: null });
+
+    await hook.uploadFileToOSS(createFile(1, { lastPartSize: 10 }));
+
+    const [request] = uploader.requestsTo(UPLOAD_PART);
+    assert.equal(request.json.content, Buffer.alloc(10, 1).toString('base64'));
+});
+
+const ESTIMATE = 'POST /api/v1/files/estimate-chunked-upload';
+const isGzipped = request => request.headers['Content-Encoding'] === 'gzip';
+
+// The estimate endpoint, accepting any storage key; gzipRejected answers compressed bodies with 415
+function loadEstimateEndpoint({ constants, acceptEncoding = null, gzipRejected = false }) {
+    return loadChunkUpload({
+        constants,
+        routes: {
+            [`OPTIONS ${ESTIMATE.slice('POST '.length)}`]: () => (acceptEncoding ? { headers: { 'Accept-Encoding': acceptEncoding } } : { status: 404 }),
+            [ESTIMATE]: request => {
+                if (gzipRejected && isGzipped(request)) return { status: 415 };
+                return { body: { code: 0, data: { storageKey: request.json.storageKey, totalFee: 1500 } } };
+            }
+        }
+    });
+}
+
+const estimate = (hook, storageKey) => hook.estimateChunkedUploadFee(createFile(1, { lastPartSize: 10 }), null, storageKey);
+
+test('in probe mode each endpoint is asked once whether it takes gzip bodies', async () => {
+    const { hook, uploader } = loadEstimateEndpoint({
+        constants: { REQUEST_GZIP: 'probe', REQUEST_GZIP_MIN_SIZE: 0 },
+        acceptEncoding: 'gzip, identity'
+    });
+
+    const results = await Promise.all([estimate(hook, 'key-1'), estimate(hook, 'key-2')]);
+
+    assert.equal(results[1].storageKey, 'key-2');
+    assert.equal(uploader.requestsTo(`OPTIONS ${ESTIMATE.slice('POST '.length)}`).length, 1, 'parallel requests share the probe');
+    const posts = uploader.requestsTo(ESTIMATE);
+    assert.ok(posts.every(isGzipped));
+    assert.deepEqual(posts.map(request => request.json.storageKey), ['key-1', 'key-2']);
+});
+
+test('endpoints that do not advertise gzip, and small bodies, are sent as plain JSON', async () => {
+    const probed = loadEstimateEndpoint({ constants: { REQUEST_GZIP: 'probe', REQUEST_GZIP_MIN_SIZE: 0 }, acceptEncoding: 'identity' });
+    await estimate(probed.hook, 'key-1');
+    assert.equal(isGzipped(probed.uploader.requestsTo(ESTIMATE)[0]), false);
+
+    const small = loadEstimateEndpoint({ constants: { REQUEST_GZIP: 'on' } });
+    await estimate(small.hook, 'key-1');
+    assert.equal(isGzipped(small.uploader.requestsTo(ESTIMATE)[0]), false, 'below REQUEST_GZIP_MIN_SIZE');
+    assert.equal(small.uploader.requests.filter(request => request.method === 'OPTIONS').length, 0, 'no probe in on mode');
+});
+
+test('a 415 for a gzip body resends it as plain JSON and stops compressing for that endpoint', async () => {
+    const { hook, uploader } = loadEstimateEndpoint({
+        constants: { REQUEST_GZIP: 'on', REQUEST_GZIP_MIN_SIZE: 0 },
+        gzipRejected: true
+    });
+
+    assert.equal((await estimate(hook, 'key-1')).storageKey, 'key-1');
+    assert.equal((await estimate(hook, 'key-2')).storageKey, 'key-2');
+
+    assert.deepEqual(uploader.requestsTo(ESTIMATE).map(request => `${request.json.storageKey} ${isGzipped(request) ? 'gzip' : 'plain'}`),
+        ['key-1 gzip', 'key-1 plain', 'key-2 plain']);
+});
+
+const TASKS = 'GET /api/v1/files/tasks';
+
+// The watched task has index newer tasks before it in the list; onPoll(task, poll) updates it before
+// each poll (a poll starts with the first page)
+function loadTaskList(index, onPoll, options = {}) {
+    const tasks = Array.from({ length: index + 1 }, (_, i) => ({ taskId: `task-${i}`, status: 'success', indexTxId: `tx-${i}` }));
+    const watched = tasks[index];
+    Object.assign(watched, { taskId: 'watched', status: 'pending', indexTxId: null, totalChunks: 3 });
+    let poll = 0;
+    return loadChunkUpload({
+        ...options,
+        tasks,
+        routes: {
+            [TASKS]: (request, defaultRoute) => {
+                if (request.query.get('cursor') === '0') onPoll(watched, ++poll);
+                return defaultRoute(request);
+            }
+        }
+    });
+}
+
+test('waitForChunkTask looks through the newest pages and reports each chunk or step once', async () => {
+    const steps = [
+        { status: 'processing', processedChunks: 1, currentStep: 'chunks' },
+        { status: 'processing', processedChunks: 1, currentStep: 'chunks' },
+        { status: 'processing', processedChunks: 3, currentStep: 'index', progress: 120 },
+        { status: 'success', processedChunks: 3, currentStep: 'index', indexTxId: 'index-tx' }
+    ];
+    const { hook, uploader, delays } = loadTaskList(25, (task, poll) => Object.assign(task, steps[poll - 1]));
+    const progress = [];
+
+    const task = await hook.waitForChunkTask('watched', { interval: 1000, onProgress: update => progress.push(update) });
+
+    assert.equal(task.indexTxId, 'index-tx');
+    assert.deepEqual(progress.map(update => `${update.loaded}/${update.total} ${update.currentStep} ${update.progress}`), ['1/3 chunks 0', '3/3 index 100']);
+    assert.deepEqual([...new Set(uploader.requestsTo(TASKS).map(request => request.query.get('cursor')))], ['0', '10', '20']);
+    assert.deepEqual(delays, [1000, 1000, 1000]);
+});
+
+test('waitForChunkTask fails with the task, and gives up on a task it cannot find', async () => {
+    const failed = loadTaskList(0, task => Object.assign(task, { status: 'failed', errorMessage: 'chunk 2 rejected' }));
+    await assert.rejects(failed.hook.waitForChunkTask('watched', { interval: 1 }), /chunk 2 rejected/);
+
+    const withoutIndex = loadTaskList(0, task => Object.assign(task, { status: 'SUCCESS' }));
+    await assert.rejects(withoutIndex.hook.waitForChunkTask('watched', { interval: 1 }), /without an index transaction/);
+
+    // Beyond the pages that are scanned
+    const buried = loadTaskList(30, () => {});
+    await assert.rejects(buried.hook.waitForChunkTask('watched', { interval: 1 }), /watched was not found in the task list/);
+    assert.equal(buried.uploader.requestsTo(TASKS).length, 10 * 3);
+});
+
+test('waitForChunkTask stops at its timeout and after repeated poll errors', async () => {
+    const clock = { now: Date.now() };
+    class FakeDate extends Date {
+        static now() {
+            return clock.now;
+        }
+    }
+    const slow = loadTaskList(0, () => {
+        clock.now += 60 * 1000;
+    }, { globals: { Date: FakeDate } });
+    await assert.rejects(slow.hook.waitForChunkTask('watched', { interval: 60 * 1000, timeout: 5 * 60 * 1000 }),
+        /did not finish within 5 minutes, it keeps running on the server/);
+    assert.equal(slow.uploader.requestsTo(TASKS).length, 5, 'no poll after the last interval that fits');
+
+    let polls = 0;
+    const { hook } = loadChunkUpload({
+        routes: {
+            [TASKS]: (request, defaultRoute) => {
+                polls++;
+                if (polls === 3) return defaultRoute(request);
+                throw new TypeError('Failed to fetch');
+            }
+        }
+    });
+    await assert.rejects(hook.waitForChunkTask('watched', { interval: 1 }), /Lost track of upload task watched: Failed to fetch/);
+    assert.equal(polls, 2 + 1 + 5, 'a successful poll resets the error count');
+});
+
+const walletSkip = mvc ? false : 'mvc-lib is not installed';
+const STORAGE_KEY = 'uploads/stored.bin';
+const failedTask = { taskId: 'task-failed', status: 'FAILED', fileName: 'video.bin', contentType: 'application/octet-stream;binary' };
+
+// The server still holds STORAGE_KEY; with mvc-lib, a wallet (createMockWallet) signs the transactions
+// and reviews resolve with confirmed
+function loadRetry({ coins = [50000], confirmed = true } = {}) {
+    const wallet = mvc ? createMockWallet(mvc, { coins }) : null;
+    const address = wallet ? wallet.address : ADDRESS;
+    const reviews = [];
+    const addedTasks = [];
+    const loaded = loadChunkUpload({
+        routes: {
+            [ESTIMATE]: ({ json }) => (json.storageKey === STORAGE_KEY
+                ? { body: { code: 0, data: { chunkNumber: 3, chunkSize: PART_SIZE, fileSize: 3 * PART_SIZE, chunkPreTxFee: 3000, indexPreTxFee: 500, totalFee: 3500 } } }
+                : { body: { code: 1, message: 'file not found' } })
+        },
+        globals: wallet ? { metaidwallet: wallet.wallet } : {},
+        extraDependencies: {
+            userStoreInstance: { last: { address, metaid: 'metaid' } },
+            MetaIDJsInstance: mvc ? { mvc, TxComposer: wallet.TxComposer } : null,
+            BufferInstance: Buffer,
+            chunkTaskStoreInstance: { addTask: task => addedTasks.push(task) },
+            chunkedUploadReviewInstance: {
+                requestChunkedUploadReview: async (summary) => {
+                    reviews.push(summary);
+                    return { confirmed, estimateResult: summary.estimateResult };
+                }
+            },
+            ...(mvc ? { txFeeInstance: loadScripts(createContext(), ['useTxFee.js'], ['useTxFee']).useTxFee({ MetaIDJsInstance: { mvc }, BufferInstance: Buffer }) } : {}),
+            utxoSelectionInstance: loadScripts(createContext(), ['useUtxoSelection.js'], ['useUtxoSelection']).useUtxoSelection()
+        }
+    });
+    return { ...loaded, wallet, address, reviews, addedTasks };
+}
+
+// The session a submitted upload leaves behind for its task
+function submittedSession(address, overrides = {}) {
+    return {
+        id: `multipart_upload_hash_metaid_${address}`,
+        fileHash: 'hash',
+        fileName: 'video.bin',
+        fileSize: 3 * PART_SIZE,
+        fileType: 'video/mp4',
+        address,
+        status: 'submitted',
+        taskId: failedTask.taskId,
+        storageKey: STORAGE_KEY,
+        ...overrides
+    };
+}
+
+test('retryChunkTask only retries failed tasks whose file the server still holds', async () => {
+    const { hook, sessionStore, uploader, toasts, address } = loadRetry();
+
+    await assert.rejects(hook.retryChunkTask({ ...failedTask, status: 'processing' }), /Only failed tasks can be retried/);
+    await assert.rejects(hook.retryChunkTask(failedTask), /The uploaded file for this task is unknown/);
+    await assert.rejects(hook.retryChunkTask({ ...failedTask, storageKey: 'uploads/expired.bin' }), /The server no longer holds the uploaded file, please upload it again \(.*file not found\)/);
+
+    // The storage key may also come from the session of the original upload
+    await sessionStore.saveSession(submittedSession('1Other'));
+    await sessionStore.saveSession(submittedSession(address, { id: 'other-task', taskId: 'task-other' }));
+    await assert.rejects(hook.retryChunkTask(failedTask), /is unknown/, 'only the session of this task and address counts');
+    await sessionStore.saveSession(submittedSession(address, { storageKey: 'uploads/expired.bin' }));
+    await assert.rejects(hook.retryChunkTask(failedTask), /no longer holds the uploaded file/);
+
+    assert.equal(uploader.requestsTo('POST /api/v1/files/chunked-upload-task').length, 0);
+    assert.ok(toasts.every(toast => toast.type === 'error'));
+});
+
+test('retryChunkTask spends the unspent funding outputs of the earlier merge tx', { skip: walletSkip }, async () => {
+    const { hook, sessionStore, uploader, wallet, address, reviews, addedTasks } = loadRetry();
+    const mergeTxId = randomBytes(32).toString('hex');
+    wallet.utxos.push({ txid: mergeTxId, outIndex: 0, value: 5000, address }, { txid: mergeTxId, outIndex: 1, value: 1000, address });
+    await sessionStore.saveSession(submittedSession(address, { mergeTxId, pinOptions: { path: '/file/videos' } }));
+
+    const task = await hook.retryChunkTask(failedTask);
+
+    assert.equal(reviews[0].walletSignatures, 2);
+    assert.equal(reviews[0].fileSize, 3 * PART_SIZE);
+    assert.equal(wallet.requests.pay.length, 0, 'no new merge tx');
+    assert.equal(wallet.requests.signTransaction.length, 2);
+
+    const [request] = uploader.requestsTo('POST /api/v1/files/chunked-upload-task');
+    assert.equal(request.json.retryOfTaskId, failedTask.taskId);
+    assert.equal(request.json.storageKey, STORAGE_KEY);
+    assert.equal(request.json.mergeTxHex, '');
+    assert.equal(request.json.contentType, 'video/mp4;binary');
+    assert.equal(request.json.path, '/file/videos', 'the pin fields of the original upload are kept');
+    const spent = [request.json.chunkPreTxHex, request.json.indexPreTxHex].map(hex => new mvc.Transaction(hex).inputs[0]);
+    assert.deepEqual(spent.map(input => `${Buffer.from(input.prevTxId).toString('hex')}:${input.outputIndex}`), [`${mergeTxId}:0`, `${mergeTxId}:1`]);
+
+    const [session] = await sessionStore.listSessions();
+    assert.equal(session.taskId, task.taskId);
+    assert.equal(session.retryOfTaskId, failedTask.taskId);
+    assert.equal(addedTasks[0].retryOfTaskId, failedTask.taskId);
+});
+
+test('retryChunkTask builds a new merge tx once the earlier funding outputs are spent', { skip: walletSkip }, async () => {
+    const { hook, uploader, wallet, reviews, addedTasks } = loadRetry();
+
+    const task = await hook.retryChunkTask({ ...failedTask, storageKey: STORAGE_KEY, mergeTxId: 'ab'.repeat(32) });
+
+    assert.equal(reviews[0].walletSignatures, 3);
+    assert.equal(reviews[0].fileName, 'video.bin');
+    assert.equal(wallet.requests.pay.length, 1);
+    const [request] = uploader.requestsTo('POST /api/v1/files/chunked-upload-task');
+    const mergeTx = new mvc.Transaction(request.json.mergeTxHex);
+    assert.equal(new mvc.Transaction(request.json.chunkPreTxHex).inputs[0].prevTxId.toString('hex'), mergeTx.id);
+    assert.equal(request.json.contentType, 'application/octet-stream;binary');
+    assert.equal(addedTasks[0].taskId, task.taskId);
+});
+
+test('retryChunkTask submits nothing when the review is declined', { skip: walletSkip }, async () => {
+    const { hook, uploader, wallet, toasts } = loadRetry({ confirmed: false });
+
+    await assert.rejects(hook.retryChunkTask({ ...failedTask, storageKey: STORAGE_KEY }), /user cancelled/);
+
+    assert.equal(wallet.requests.pay.length + wallet.requests.signTransaction.length, 0);
+    assert.equal(uploader.requestsTo('POST /api/v1/files/chunked-upload-task').length, 0);
+    assert.equal(toasts.at(-1).type, 'warning');
+});
+
+test('discarding a session aborts its multipart upload unless it was submitted', async () => {
+    const { hook, uploader, sessionStore } = loadChunkUpload();
+    const statuses = ['uploading', 'uploaded', 'submitted'];
+    for (const status of statuses) {
+        await sessionStore.saveSession({ id: status, address: ADDRESS, status, uploadId: `upload-${status}`, key: `uploads/${status}.bin` });
+    }
+
+    for (const session of await hook.listUploadSessions()) {
+        await hook.discardUploadSession(session);
+    }
+
+    assert.deepEqual(uploader.requestsTo('POST /api/v1/files/multipart/abort').map(request => request.json.uploadId).sort(), ['upload-uploaded', 'upload-uploading']);
+    assert.equal((await hook.listUploadSessions()).length, 0);
+});
+
+// prepareEncryptedUpload from index.html, using the hook's dependencies; the wallet wraps keys by prefixing them
+function loadEncryptedUpload(context, dependencies) {
+    const { useFileEncryption } = loadScripts(context, ['useFileEncryption.js'], ['useFileEncryption']);
+    return loadFromIndex(context, ['async function prepareEncryptedUpload('], {
+        getUploadHookDependencies: () => dependencies,
+        useFileEncryption,
+        useFileKeyStore: () => ({
+            wrapOwnFileKey: async fileKey => `wrapped:${fileKey}`,
+            unwrapOwnFileKey: async wrappedKey => wrappedKey.slice('wrapped:'.length)
+        })
+    });
+}
+
+test('an interrupted encrypted upload resumes with the same ciphertext and never sends the real name', async () => {
+    const state = { failPart: 3 };
+    const { hook, uploader, sessionStore, context, dependencies } = loadChunkUpload({
+        routes: {
+            [UPLOAD_PART]: (request, defaultRoute) => (partNumberOf(request) === state.failPart ? { status: 400 } : defaultRoute(request))
+        }
+    });
+    const { prepareEncryptedUpload } = loadEncryptedUpload(context, dependencies);
+    const plaintext = createFile(4, { name: 'holiday.mov' });
+    const upload = encrypted => hook.uploadFileToOSS(encrypted.file, { concurrency: 1, fingerprint: encrypted.fingerprint, encryptedSource: encrypted.encryptedSource });
+
+    const first = await prepareEncryptedUpload(plaintext, { chunked: true, recipients: [{ address: '1Friend', chatpubkey: '02ab', name: 'friend' }] });
+    await assert.rejects(upload(first), /part 3/);
+    const [session] = await sessionStore.listSessions();
+    assert.equal(session.fileName, `${first.fingerprint.fileHash}.enc`);
+    assert.equal(session.encryptedSource.fileName, 'holiday.mov');
+    assert.equal(session.encryptedSource.wrappedKey, `wrapped:${first.fileKey}`);
+    assert.deepEqual(Object.keys(session.encryptedSource.recipients[0]), ['address', 'chatpubkey']);
+
+    // Uploading the same file again, and resuming the session with it, encrypt to the same bytes
+    state.failPart = 0;
+    const second = await prepareEncryptedUpload(plaintext, { chunked: true });
+    const resumed = await prepareEncryptedUpload(plaintext, { session });
+    assert.equal(second.fileKey, first.fileKey);
+    assert.equal(second.fingerprint.fileHash, first.fingerprint.fileHash);
+    assert.equal(resumed.fingerprint.fileHash, session.fileHash);
+    await assert.rejects(prepareEncryptedUpload(createFile(3), { session }), /Selected file does not match this upload session/);
+
+    await upload(second);
+    assert.deepEqual(uploader.requestsTo(UPLOAD_PART).map(partNumberOf), [1, 2, 3, 3, 4, 5]);
+    assert.equal(uploader.requestsTo('POST /api/v1/files/multipart/initiate')[0].json.fileName, second.file.name);
+    assert.ok(uploader.requests.every(request => !JSON.stringify(request.json || {}).includes('holiday')));
+
+    // A submitted upload is finished: the next upload of the file gets a fresh key
+    await sessionStore.updateSession(session.id, current => ({ ...current, status: 'submitted' }));
+    const third = await prepareEncryptedUpload(plaintext, { chunked: true });
+    assert.notEqual(third.fileKey, first.fileKey);
+});
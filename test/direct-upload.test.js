@@ -0,0 +1,173 @@
+// Direct upload against a mock wallet and a mock uploader backend (test/helpers/uploader.js): the merge
+// and base transactions are built and signed for real with mvc-lib, and the backend verifies every
+// input after appending its outputs.
+//
+// Needs mvc-lib, see test/tx-fee.test.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScripts, loadFromIndex } = require('./helpers/load');
+const { createMockWallet } = require('./helpers/wallet');
+const { createMockUploader } = require('./helpers/uploader');
+
+let mvc = null;
+try {
+    mvc = require('mvc-lib');
+} catch (error) {
+    // reported through the skip reason below
+}
+const skip = mvc ? false : 'mvc-lib is not installed';
+
+const API_BASE = 'https://uploader.test';
+
+// multiInput: CONSTANTS.DIRECT_UPLOAD_MULTI_INPUT; batchSigning: whether the wallet has signTransactions;
+// apiBases: CONSTANTS.METAFS_API_BASES
+function loadDirectUpload({ coins, strategy = 'largestFirst', feeRate = 1, multiInput = false, batchSigning = true, network = 'livenet', apiBases = { [network]: API_BASE } }) {
+    const { wallet, address, lockingScript, utxos, requests, TxComposer } = createMockWallet(mvc, { coins, batchSigning, network });
+    const outputs = new Map(utxos.map(utxo => [`${utxo.txid}:${utxo.outIndex}`, { script: lockingScript, satoshis: utxo.value }]));
+    const uploader = createMockUploader(mvc, { apiBase: API_BASE, address, outputs, network });
+    const context = createContext({ fetch: uploader.fetch, FormData, metaidwallet: wallet });
+
+    const { buildOpReturnV2 } = loadFromIndex(context, ['function buildOpReturnV2(']);
+    const { useTxFee, useUtxoSelection, useFileToChainDirect } = loadScripts(context,
+        ['useTxFee.js', 'useUtxoSelection.js', 'usePinOptions.js', 'useFileToChainDirect.js'],
+        ['useTxFee', 'useUtxoSelection', 'useFileToChainDirect']);
+
+    const reviews = [];
+    const txFee = useTxFee({ MetaIDJsInstance: { mvc }, BufferInstance: Buffer, buildOpReturnInstance: buildOpReturnV2 });
+    const hook = useFileToChainDirect({
+        toastInstance: { showToast() {} },
+        chainStoreInstance: { mvcFeeRate: () => feeRate, mvcUtxoStrategy: () => strategy },
+        userStoreInstance: { last: { address, metaid: 'metaid' } },
+        constantsInstance: { NETWORK: network, METAFS_API_BASES: apiBases, DIRECT_UPLOAD_MULTI_INPUT: multiInput },
+        MetaIDJsInstance: { mvc, TxComposer },
+        BufferInstance: Buffer,
+        txFeeInstance: txFee,
+        utxoSelectionInstance: useUtxoSelection(),
+        directUploadReviewInstance: {
+            requestDirectUploadReview: async (summary) => {
+                reviews.push(summary);
+                return true;
+            }
+        }
+    });
+    return { hook, txFee, address, requests, reviews, uploads: uploader.uploads };
+}
+
+function createFile(size) {
+    return new File([Buffer.alloc(size, 7)], 'notes.txt', { type: 'text/plain' });
+}
+
+function outpoint(input) {
+    return `${Buffer.from(input.prevTxId).toString('hex')}:${input.outputIndex}`;
+}
+
+test('merging spends exactly the selected coins and leaves no change output', { skip }, async () => {
+    for (const strategy of ['largestFirst', 'branchAndBound', 'smallestSufficient', 'consolidate']) {
+        const { hook, address, requests, uploads } = loadDirectUpload({ coins: [6000, 5000, 4000, 3000, 700], strategy });
+
+        await hook.uploadFileToChainDirect(createFile(12000), { confirmFee: false });
+
+        assert.equal(requests.pay.length, 1, strategy);
+        const mergeTx = new mvc.Transaction(uploads[0].mergeTxHex);
+        assert.ok(requests.pay[0].inputCount > 1, `${strategy}: the merge tx must come with its inputs`);
+        assert.equal(mergeTx.inputs.length, requests.pay[0].inputCount, `${strategy}: pay must not add coins`);
+        assert.equal(mergeTx.outputs.length, 1, `${strategy}: the merge tx sweeps into one output`);
+        assert.equal(mergeTx.outputs[0].script.toAddress('livenet').toString(), address);
+
+        // The base tx spends the merged output and reports its full value to the backend
+        const preTx = new mvc.Transaction(uploads[0].preTxHex);
+        assert.equal(preTx.inputs.length, 1);
+        assert.equal(outpoint(preTx.inputs[0]), `${mergeTx.id}:0`);
+        assert.equal(Number(uploads[0].totalInputAmount), mergeTx.outputs[0].satoshis);
+    }
+});
+
+test('a single sufficient coin is spent without a merge tx', { skip }, async () => {
+    const { hook, requests, uploads } = loadDirectUpload({ coins: [100000, 1000], strategy: 'smallestSufficient' });
+
+    await hook.uploadFileToChainDirect(createFile(2000), { confirmFee: false });
+
+    assert.equal(requests.pay.length, 0);
+    assert.equal(uploads[0].mergeTxHex, undefined);
+    assert.equal(Number(uploads[0].totalInputAmount), 100000);
+});
+
+test('insufficient funds stop the upload before anything is signed', { skip }, async () => {
+    const { hook, requests, uploads } = loadDirectUpload({ coins: [3000, 2000] });
+
+    await assert.rejects(hook.uploadFileToChainDirect(createFile(12000), { confirmFee: false }), /Insufficient balance/);
+    assert.equal(requests.pay.length, 0);
+    assert.equal(requests.signTransaction.length, 0);
+    assert.equal(uploads.length, 0);
+});
+
+test('multi-input funding signs every input in one wallet request', { skip }, async () => {
+    const { hook, requests, reviews, uploads } = loadDirectUpload({ coins: [6000, 5000, 4000, 3000, 700], multiInput: true });
+
+    await hook.uploadFileToChainDirect(createFile(12000));
+
+    const preTx = new mvc.Transaction(uploads[0].preTxHex);
+    assert.ok(preTx.inputs.length > 1);
+    assert.equal(reviews[0].inputCount, preTx.inputs.length);
+    assert.equal(reviews[0].mergeNeeded, false);
+    assert.equal(requests.pay.length, 0, 'no merge tx');
+    assert.equal(requests.signTransaction.length, 0);
+    assert.equal(requests.signTransactions.length, 1, 'one batched signing request');
+    assert.equal(requests.signTransactions[0].length, preTx.inputs.length);
+});
+
+test('multi-input funding falls back to a merge without batch signing', { skip }, async () => {
+    const { hook, requests, reviews, uploads } = loadDirectUpload({ coins: [6000, 5000, 4000, 3000, 700], multiInput: true, batchSigning: false });
+
+    await hook.uploadFileToChainDirect(createFile(12000));
+
+    assert.equal(reviews[0].inputCount, 1);
+    assert.equal(reviews[0].mergeNeeded, true);
+    assert.equal(requests.pay.length, 1);
+    assert.equal(requests.signTransaction.length, 1);
+    assert.equal(new mvc.Transaction(uploads[0].preTxHex).inputs.length, 1);
+});
+
+test('a selection above the multi-input limit is sized as one merged input', { skip }, async () => {
+    const { hook, txFee, reviews, uploads } = loadDirectUpload({ coins: new Array(40).fill(1000), multiInput: true });
+    const file = createFile(15000);
+
+    await hook.uploadFileToChainDirect(file);
+
+    const [review] = reviews;
+    const mergeTx = new mvc.Transaction(uploads[0].mergeTxHex);
+    assert.ok(mergeTx.inputs.length > 20);
+    assert.equal(review.mergeNeeded, true);
+    assert.equal(review.mergeUtxoCount, mergeTx.inputs.length);
+    assert.equal(review.inputCount, 1, 'the base tx spends only the merged output');
+    assert.equal(review.txSize, txFee.getTxSize({
+        inputCount: 1,
+        outputCount: 2,
+        opReturn: { operation: 'create', path: '/file', encryption: '0', version: '1.0.0', contentType: 'text/plain;binary', contentSize: file.size }
+    }));
+    assert.equal(new mvc.Transaction(uploads[0].preTxHex).inputs.length, 1);
+});
+
+test('testnet uploads go to the configured testnet uploader with testnet addresses', { skip }, async () => {
+    const { hook, address, requests, uploads } = loadDirectUpload({ coins: [6000, 5000, 4000, 3000], network: 'testnet' });
+
+    const result = await hook.uploadFileToChainDirect(createFile(12000), { confirmFee: false });
+
+    assert.ok(hook.hasUploaderEndpoint());
+    assert.match(address, /^[mn]/);
+    assert.equal(requests.pay.length, 1);
+    const mergeTx = new mvc.Transaction(uploads[0].mergeTxHex);
+    assert.equal(mergeTx.outputs[0].script.toAddress('testnet').toString(), address);
+    assert.equal(uploads[0].address, address);
+    assert.ok(result.txId);
+});
+
+test('a network without an uploader fails before the wallet is asked', { skip }, async () => {
+    const { hook, requests, reviews } = loadDirectUpload({ coins: [100000], network: 'testnet', apiBases: { livenet: API_BASE, testnet: '' } });
+
+    assert.equal(hook.hasUploaderEndpoint(), false);
+    await assert.rejects(hook.uploadFileToChainDirect(createFile(1000)), /No MetaFS uploader endpoint configured for testnet/);
+    assert.equal(requests.getUtxos, 0);
+    assert.equal(reviews.length, 0);
+});
@@ -0,0 +1,101 @@
+// useFileEncryption output, and recovering the key of an encrypted upload from the uploader's own
+// key entry on chain when the localStorage record is gone.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadHook, loadFromIndex } = require('./helpers/load');
+
+const useFileEncryption = loadHook('useFileEncryption');
+const PIN_ID = `${'c'.repeat(64)}i0`;
+
+test('the encrypted payload is octet-stream and decrypts to the original bytes', async () => {
+    const { generateFileKey, encryptFile, decryptFile, getEncryptedSize } = useFileEncryption();
+    const key = generateFileKey();
+    const plaintext = Buffer.alloc(2500, 3);
+
+    const encrypted = await encryptFile(new File([plaintext], 'photo.png', { type: 'image/png' }), key, { segmentSize: 1000 });
+    assert.equal(encrypted.type, 'application/octet-stream');
+    assert.equal(encrypted.name, 'file.enc', 'the real name is not uploaded');
+    assert.equal(encrypted.size, getEncryptedSize(plaintext.length, 1000));
+
+    const decrypted = await decryptFile(encrypted, key, { type: 'image/png' });
+    assert.equal(decrypted.type, 'image/png');
+    assert.ok(Buffer.from(await decrypted.arrayBuffer()).equals(plaintext));
+});
+
+test('the same key and nonce prefix encrypt a file to the same bytes again', async () => {
+    const { generateFileKey, generateNoncePrefix, encryptFile } = useFileEncryption();
+    const key = generateFileKey();
+    const noncePrefix = generateNoncePrefix();
+    const file = new File([Buffer.alloc(2500, 3)], 'photo.png');
+    const bytes = async (options) => Buffer.from(await (await encryptFile(file, key, { segmentSize: 1000, ...options })).arrayBuffer());
+
+    assert.ok((await bytes({ noncePrefix })).equals(await bytes({ noncePrefix })));
+    assert.ok(!(await bytes({})).equals(await bytes({})), 'a fresh nonce prefix by default');
+    await assert.rejects(bytes({ noncePrefix: 'abcd' }), /Invalid nonce prefix length, expected 8 bytes, got 2/);
+});
+
+test('files above the in-memory limit are rejected before anything is read', async () => {
+    const { generateFileKey, encryptFile, MAX_ENCRYPTED_FILE_SIZE } = useFileEncryption();
+    const huge = { size: MAX_ENCRYPTED_FILE_SIZE + 1, slice() { throw new Error('must not be read'); } };
+
+    await assert.rejects(encryptFile(huge, generateFileKey()), /Failed to encrypt file: file is \d+ bytes, the limit is \d+ bytes/);
+});
+
+// useFileKeyStore with a minimal defineStore and the chain lookups mocked
+function loadFileKeyStore({ sharePins }) {
+    const context = createContext();
+    const requests = [];
+    const { useFileKeyStore } = loadFromIndex(context, ['const useFileKeyStore = '], {
+        CONSTANTS: { FILE_SHARE_PATH: '/file/share', FILE_SHARE_SCAN_PAGES: 5 },
+        FILE_KEY_SCAN_PAGE_SIZE: 2,
+        useLocalStorage: (key, initial) => initial,
+        defineStore: (id, { state, actions }) => {
+            const store = state();
+            for (const [name, action] of Object.entries(actions)) store[name] = action.bind(store);
+            return () => store;
+        },
+        useUserStore: () => ({ last: { address: 'owner' } }),
+        getSelfSharedSecret: async () => 'self-secret',
+        // Entries stand in for wrapSharePayload output: { secret, payload }
+        unwrapSharePayload: async (entries, secret) => (entries.find(entry => entry.secret === secret) || {}).payload || null,
+        wrapFileKey: async (fileKey, secret) => `${fileKey}@${secret}`,
+        unwrapFileKey: async (wrappedKey, secret) => {
+            if (!wrappedKey.endsWith(`@${secret}`)) throw new Error('wrong secret');
+            return wrappedKey.slice(0, -secret.length - 1);
+        },
+        getAddressPinList: async (params) => {
+            requests.push(params);
+            return { list: sharePins.slice(params.cursor, params.cursor + params.size), total: sharePins.length };
+        },
+        toPinPage: (res, cursor, size) => ({ list: res.list, nextCursor: cursor + res.list.length, hasMore: cursor + res.list.length < res.total }),
+        getPinJsonContent: async (pin) => pin.content
+    });
+    return { store: useFileKeyStore(), requests };
+}
+
+test('a missing local key record is recovered from the uploader entry of a share pin', async () => {
+    const payload = { pinId: PIN_ID, fileKey: 'file-key', fileName: 'photo.png', contentType: 'image/png' };
+    const sharePins = [
+        { id: 'share-1', content: { entries: [{ secret: 'self-secret', payload: { ...payload, pinId: `${'d'.repeat(64)}i0`, fileKey: 'other' } }] } },
+        { id: 'share-2', content: { entries: [{ secret: 'friend-secret', payload }] } },
+        { id: 'share-3', content: { entries: [{ secret: 'friend-secret', payload }, { secret: 'self-secret', payload }] } }
+    ];
+    const { store, requests } = loadFileKeyStore({ sharePins });
+
+    assert.equal(await store.getFileKey(PIN_ID), 'file-key');
+    assert.equal(store.keys[PIN_ID].wrappedKey, 'file-key@self-secret', 'stored wrapped for the wallet again');
+    assert.equal(requests[0].address, 'owner');
+    assert.equal(requests[0].path, '/file/share');
+    assert.equal(store.keys[PIN_ID].fileName, 'photo.png');
+    assert.equal(store.keys[PIN_ID].contentType, 'image/png');
+
+    // Cached locally from now on
+    await store.getFileKey(PIN_ID);
+    assert.equal(requests.length, 2);
+});
+
+test('a key found neither locally nor on chain resolves to null', async () => {
+    const { store } = loadFileKeyStore({ sharePins: [] });
+    assert.equal(await store.getFileKey(PIN_ID), null);
+});
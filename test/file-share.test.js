@@ -0,0 +1,168 @@
+// Sharing the key of an encrypted file: the share pin carries only opaque entries, and receivers
+// take the sender's chat public key from MAN instead of the pin body.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHash } = require('crypto');
+const { createContext, loadVue, loadFromIndex, createVueScope } = require('./helpers/load');
+const { renderComponent, collectElements, collectText } = require('./helpers/render');
+
+const FILE_PIN_ID = `${'e'.repeat(64)}i0`;
+const FILE_KEY = 'ab'.repeat(32);
+
+// Stand-in for ECDH between two users, symmetric like the real thing
+function secretFor(a, b) {
+    return createHash('sha256').update([a, b].sort().join(':')).digest('hex');
+}
+
+// The real share helpers from index.html; the wallet belongs to userStore.last.address
+function loadShareHelpers(scope = {}) {
+    const context = createContext({ btoa, atob });
+    const Vue = loadVue(context);
+    const userStore = Vue.reactive({ isAuthorized: true, last: { address: 'owner' } });
+    const wallet = { ecdhRequests: [] };
+    const user = () => userStore.last.address;
+    const helpers = loadFromIndex(context, [
+        'function randomBytes(', 'function hexToArrayBuffer(', 'function arrayToHex(',
+        'function arrayBufferToBase64(', 'function base64ToArrayBuffer(',
+        'async function encryptGCM(', 'async function decryptGCM(', 'async function deriveWrappingKey(',
+        'async function wrapSharePayload(', 'async function unwrapSharePayload(', 'async function createFileSharePin(',
+        'function toPinPage(', 'function formatDate(', 'const SharedFilesPanel = {'
+    ], {
+        ...createVueScope(Vue),
+        CONSTANTS: { FILE_SHARE_PATH: '/file/share', NETWORK: 'livenet' },
+        useUserStore: () => userStore,
+        getSelfSharedSecret: async () => secretFor(user(), user()),
+        getEcdhPublickey: async (pubkey) => {
+            wallet.ecdhRequests.push(pubkey);
+            return { sharedSecret: secretFor(user(), pubkey.replace(/^pub-/, '')), ecdhPubKey: `pub-${user()}` };
+        },
+        ...scope
+    });
+    return { ...helpers, Vue, userStore, wallet };
+}
+
+test('a share pin reveals neither the file nor the recipients', async () => {
+    let published = null;
+    const { createFileSharePin, unwrapSharePayload } = loadShareHelpers({
+        createPin: async (pin) => {
+            published = pin;
+            return { txid: 'f'.repeat(64) };
+        }
+    });
+
+    const sharePinId = await createFileSharePin({
+        pinId: FILE_PIN_ID,
+        fileKey: FILE_KEY,
+        fileName: 'salary-2026.xlsx',
+        contentType: 'application/vnd.ms-excel',
+        recipients: [{ address: 'alice', chatpubkey: 'pub-alice' }, { address: 'bob', chatpubkey: 'pub-bob' }]
+    });
+
+    assert.equal(sharePinId, `${'f'.repeat(64)}i0`);
+    assert.equal(published.path, '/file/share');
+    for (const secret of ['salary', 'excel', 'alice', 'bob', 'owner', FILE_PIN_ID, FILE_KEY]) {
+        assert.ok(!published.body.includes(secret), `the pin body contains ${secret}`);
+    }
+
+    const { entries } = JSON.parse(published.body);
+    assert.equal(entries.length, 3, 'one entry per recipient plus the uploader');
+    for (const user of ['owner', 'alice', 'bob']) {
+        const payload = await unwrapSharePayload(entries, secretFor('owner', user));
+        assert.equal(payload.pinId, FILE_PIN_ID, user);
+        assert.equal(payload.fileKey, FILE_KEY, user);
+        assert.equal(payload.fileName, 'salary-2026.xlsx', user);
+        assert.equal(payload.contentType, 'application/vnd.ms-excel', user);
+    }
+    assert.equal(await unwrapSharePayload(entries, secretFor('owner', 'mallory')), null);
+});
+
+// SharedFilesPanel for `owner`; listPins answers the share pin list requests
+async function renderSharedFiles(listPins) {
+    const requests = { list: [], userInfo: [] };
+    const { Vue, SharedFilesPanel, userStore, wallet, wrapSharePayload } = loadShareHelpers({
+        useToast: () => ({ showToast() {} }),
+        getPinListByPath: async (params) => {
+            requests.list.push(params);
+            return listPins(params);
+        },
+        getPinJsonContent: async (pin) => pin.content,
+        getMetaidUserInfo: async (address) => {
+            requests.userInfo.push(address);
+            return { address, chatpubkey: `pub-${address}` };
+        },
+        downloadDecryptedPin: async () => {}
+    });
+    const root = await renderComponent(Vue, SharedFilesPanel);
+    // Wait until no spinner is shown (unwrapping goes through Web Crypto, which takes real time)
+    const settle = async () => {
+        for (let round = 0; round < 200; round++) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await Vue.nextTick();
+            if (!collectElements(root).some(element => String(element.props.class || '').includes('loading-spinner'))) return;
+        }
+    };
+    const click = async (label) => {
+        collectElements(root).find(element => element.tag === 'button' && element.textContent.includes(label)).props.onClick();
+        await settle();
+    };
+    return { root, requests, wallet, userStore, wrapSharePayload, click, settle };
+}
+
+// A share pin published by `sender` with one entry for `recipient`
+async function sharePin(wrapSharePayload, id, sender, recipient, fileName) {
+    const entry = await wrapSharePayload({ pinId: FILE_PIN_ID, fileKey: FILE_KEY, fileName, contentType: 'text/plain' }, secretFor(sender, recipient));
+    return { id, address: sender, timestamp: 1, content: { entries: [entry] } };
+}
+
+test('shares are found on demand, one page at a time', async () => {
+    let pins = [];
+    const { root, requests, wrapSharePayload, click } = await renderSharedFiles(({ cursor, size }) => ({ list: pins.slice(cursor, cursor + size), total: pins.length }));
+    assert.equal(requests.list.length, 0, 'nothing is scanned on mount');
+
+    pins = [await sharePin(wrapSharePayload, 'share-1', 'alice', 'owner', 'from-alice.txt')];
+    for (let i = 0; i < 25; i++) pins.push(await sharePin(wrapSharePayload, `other-${i}`, 'carol', 'dave', 'not-for-owner.txt'));
+
+    await click('Search');
+    assert.equal(requests.list.length, 1);
+    assert.ok(collectText(root).includes('from-alice.txt'));
+    assert.ok(!collectText(root).includes('not-for-owner.txt'));
+    assert.deepEqual(Array.from(new Set(requests.userInfo)).sort(), ['alice', 'carol'], 'one lookup per sender');
+
+    await click('Search older shares');
+    assert.equal(requests.list.length, 2);
+    assert.equal(requests.list[1].cursor, 20);
+});
+
+test('the sender key comes from MAN, not from the pin', async () => {
+    let pins = [];
+    const { root, wallet, wrapSharePayload, click } = await renderSharedFiles(() => ({ list: pins, total: pins.length }));
+    // mallory republishes an entry alice wrapped for owner, claiming alice's key in the body
+    const copied = await sharePin(wrapSharePayload, 'share-copy', 'mallory', 'owner', 'impersonated.txt');
+    copied.content.entries = (await sharePin(wrapSharePayload, 'x', 'alice', 'owner', 'impersonated.txt')).content.entries;
+    copied.content.senderChatPubkey = 'pub-alice';
+    pins = [copied];
+
+    await click('Search');
+    assert.deepEqual(wallet.ecdhRequests, ['pub-mallory']);
+    assert.ok(!collectText(root).includes('impersonated.txt'));
+});
+
+test('results of a scan started before an account switch are dropped', async () => {
+    let release;
+    const pending = new Promise(resolve => {
+        release = resolve;
+    });
+    const { root, requests, userStore, wrapSharePayload, click, settle } = await renderSharedFiles(() => pending);
+
+    await click('Search');
+    userStore.last.address = 'bob';
+    await settle();
+    release({ list: [await sharePin(wrapSharePayload, 'share-1', 'alice', 'owner', 'owner-only.txt')], total: 1 });
+    await settle();
+
+    assert.ok(!collectText(root).includes('owner-only.txt'));
+    assert.equal(requests.userInfo.length, 0);
+    const search = collectElements(root).find(element => element.tag === 'button' && element.textContent.includes('Search'));
+    assert.ok(!search.props.disabled, 'the new account can search right away');
+});
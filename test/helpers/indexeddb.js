@@ -0,0 +1,96 @@
+// A minimal in-memory IndexedDB for useUploadSessionStore: databases live as long as the factory, object
+// stores use an inline keyPath, and get / put / delete / getAll requests complete asynchronously. As in
+// IndexedDB, transactions on a database run one after another; a transaction completes once none of its
+// requests (including ones issued from onsuccess) is pending.
+
+function createFakeIndexedDB() {
+    const databases = new Map();
+
+    function createTransaction(db, storeName) {
+        const transaction = { oncomplete: null, onerror: null, onabort: null, error: null };
+        let pending = 0;
+        let completed = false;
+        // Starts once the previous transaction on the database completed
+        const ready = db.lastTransaction;
+        let release;
+        db.lastTransaction = new Promise(resolve => {
+            release = resolve;
+        });
+
+        const finishLater = () => ready.then(() => setTimeout(() => {
+            if (pending === 0 && !completed) {
+                completed = true;
+                release();
+                if (transaction.oncomplete) transaction.oncomplete();
+            }
+        }, 0));
+
+        const runRequest = (operation) => {
+            const request = { result: undefined, onsuccess: null, onerror: null };
+            pending++;
+            ready.then(() => setTimeout(() => {
+                request.result = operation();
+                if (request.onsuccess) request.onsuccess();
+                pending--;
+                finishLater();
+            }, 0));
+            return request;
+        };
+
+        const records = db.stores.get(storeName);
+        transaction.objectStore = () => ({
+            get: id => runRequest(() => (records.has(id) ? structuredClone(records.get(id)) : undefined)),
+            put: record => runRequest(() => {
+                records.set(record[db.keyPaths.get(storeName)], structuredClone(record));
+            }),
+            delete: id => runRequest(() => {
+                records.delete(id);
+            }),
+            getAll: () => runRequest(() => [...records.values()].map(record => structuredClone(record)))
+        });
+        finishLater();
+        return transaction;
+    }
+
+    function createDatabase(name, version) {
+        const db = {
+            name,
+            version,
+            stores: new Map(),
+            keyPaths: new Map(),
+            lastTransaction: Promise.resolve(),
+            objectStoreNames: { contains: storeName => db.stores.has(storeName) },
+            createObjectStore(storeName, { keyPath }) {
+                db.stores.set(storeName, new Map());
+                db.keyPaths.set(storeName, keyPath);
+                return { createIndex() {} };
+            },
+            transaction: (storeName) => createTransaction(db, storeName)
+        };
+        return db;
+    }
+
+    return {
+        databases,
+        open(name, version = 1) {
+            const request = { result: null, error: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+            setTimeout(() => {
+                let db = databases.get(name);
+                const upgrade = !db || db.version < version;
+                if (!db) {
+                    db = createDatabase(name, version);
+                    databases.set(name, db);
+                }
+                db.version = Math.max(db.version, version);
+                request.result = db;
+                if (upgrade && request.onupgradeneeded) request.onupgradeneeded();
+                if (request.onsuccess) request.onsuccess();
+            }, 0);
+            return request;
+        }
+    };
+}
+
+module.exports = {
+    createFakeIndexedDB
+};
@@ -0,0 +1,133 @@
+// Test helpers: load the browser hooks and index.html components into a Node vm context.
+// No dependencies beyond Node itself; run the suite with `node --test test/`.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const INDEX_HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+function readSource(file) {
+    return fs.readFileSync(path.join(ROOT, 'src', file), 'utf8');
+}
+
+// A vm context with the browser globals the hooks touch. extra overrides or adds globals.
+function createContext(extra = {}) {
+    const storage = new Map();
+    const context = {
+        console: { log() {}, info() {}, warn() {}, error() {} },
+        setTimeout, clearTimeout, setInterval, clearInterval, queueMicrotask,
+        Promise, Date, Math, JSON, URL, URLSearchParams, Blob, File, TextEncoder, TextDecoder,
+        Uint8Array, ArrayBuffer, DataView, Map, Set, WeakMap, Error, TypeError, AbortController, DOMException,
+        Buffer, crypto: globalThis.crypto,
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key),
+            key: index => [...storage.keys()][index] ?? null,
+            get length() { return storage.size; }
+        },
+        ...extra
+    };
+    context.window = context.window || context;
+    context.globalThis = context;
+    return vm.createContext(context);
+}
+
+// Run src/<file> scripts in the context and return the named globals they define
+function loadScripts(context, files, names) {
+    for (const file of files) {
+        vm.runInContext(readSource(file), context, { filename: file });
+    }
+    return Object.fromEntries(names.map(name => [name, vm.runInContext(name, context)]));
+}
+
+function loadHook(name, { files = [`${name}.js`], globals = {} } = {}) {
+    const context = createContext(globals);
+    return loadScripts(context, files, [name])[name];
+}
+
+// Source of a top-level declaration in the index.html module script, e.g. `const ChunkTaskList = {`
+// or `function getMvcTxUrl(`. Declarations there end at the first line closing at 8 spaces.
+function extractDeclaration(startPattern) {
+    const start = INDEX_HTML.indexOf(startPattern);
+    if (start === -1) throw new Error(`Declaration not found in index.html: ${startPattern}`);
+    const endMarker = /\n {8}\};?\n/g;
+    endMarker.lastIndex = start;
+    const end = endMarker.exec(INDEX_HTML);
+    if (!end) throw new Error(`End of declaration not found: ${startPattern}`);
+    return INDEX_HTML.slice(start, end.index + end[0].length);
+}
+
+// The in-browser template compiler decodes HTML entities through a detached <div>
+// (document.createElement('div').innerHTML); this is the part of document it needs.
+function createEntityDecoderDocument() {
+    const decode = raw => raw
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&(lt|gt|quot|apos|nbsp|amp);/g, (match, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', amp: '&' })[name]);
+
+    return {
+        createElement: () => ({
+            children: [],
+            textContent: '',
+            set innerHTML(html) {
+                const attribute = html.match(/^<div foo="([\s\S]*)">$/);
+                this.children = attribute ? [{ getAttribute: () => decode(attribute[1]) }] : [];
+                this.textContent = attribute ? '' : decode(html);
+            }
+        })
+    };
+}
+
+// Vue global build (with the template compiler) inside a context
+function loadVue(context) {
+    if (!context.document) context.document = createEntityDecoderDocument();
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'src', 'vue.js'), 'utf8') + '\n;globalThis.Vue = Vue;', context, { filename: 'vue.js' });
+    return context.Vue;
+}
+
+// Module-level names the index.html components use: Vue APIs plus the VueUse / toast helpers they call
+function createVueScope(Vue) {
+    return {
+        Vue,
+        ref: Vue.ref,
+        reactive: Vue.reactive,
+        computed: Vue.computed,
+        watch: Vue.watch,
+        nextTick: Vue.nextTick,
+        onMounted: Vue.onMounted,
+        onUnmounted: Vue.onUnmounted,
+        createGlobalState: (factory) => {
+            let state;
+            return () => state || (state = factory());
+        },
+        useToast: () => ({ showToast() {} })
+    };
+}
+
+// Evaluate declarations from index.html in the context and return them by name.
+// scope supplies the module-level values they reference (stores, hooks, helpers).
+function loadFromIndex(context, declarations, scope = {}) {
+    Object.assign(context, scope);
+    const names = [];
+    for (const declaration of declarations) {
+        const name = declaration.match(/^(?:async\s+)?(?:const|function)\s+([A-Za-z0-9_$]+)/)[1];
+        names.push(name);
+        vm.runInContext(`${extractDeclaration(declaration)}\nglobalThis.${name} = ${name};`, context, { filename: `index.html:${name}` });
+    }
+    return Object.fromEntries(names.map(name => [name, context[name]]));
+}
+
+module.exports = {
+    ROOT,
+    INDEX_HTML,
+    createContext,
+    loadScripts,
+    loadHook,
+    loadVue,
+    createVueScope,
+    loadFromIndex,
+    extractDeclaration
+};
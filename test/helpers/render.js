@@ -0,0 +1,113 @@
+// Renders Vue components into a plain object tree with a custom renderer, so tests can inspect
+// exactly which elements, attributes and event handlers a template creates.
+
+class TestNode {
+    constructor(type, tag = null, text = '') {
+        this.type = type; // 'element' | 'text' | 'comment' | 'root'
+        this.tag = tag;
+        this.text = text;
+        this.props = {};
+        this.listeners = {};
+        this.children = [];
+        this.parent = null;
+        this.style = {};
+        this.options = [];
+        this.value = '';
+    }
+
+    addEventListener(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+
+    removeEventListener(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(item => item !== handler);
+    }
+
+    setAttribute(name, value) {
+        this.props[name] = value;
+    }
+
+    removeAttribute(name) {
+        delete this.props[name];
+    }
+
+    get textContent() {
+        return this.type === 'element' || this.type === 'root'
+            ? this.children.map(child => child.textContent).join('')
+            : this.text;
+    }
+}
+
+function createTestRenderer(Vue) {
+    return Vue.createRenderer({
+        createElement: tag => new TestNode('element', tag),
+        createText: text => new TestNode('text', null, text),
+        createComment: text => new TestNode('comment', null, text),
+        setText: (node, text) => {
+            node.text = text;
+        },
+        setElementText: (node, text) => {
+            node.children = text ? [Object.assign(new TestNode('text', null, text), { parent: node })] : [];
+        },
+        insert: (child, parent, anchor) => {
+            if (child.parent) child.parent.children.splice(child.parent.children.indexOf(child), 1);
+            const index = anchor ? parent.children.indexOf(anchor) : -1;
+            if (index === -1) parent.children.push(child);
+            else parent.children.splice(index, 0, child);
+            child.parent = parent;
+        },
+        remove: (child) => {
+            if (child.parent) child.parent.children.splice(child.parent.children.indexOf(child), 1);
+            child.parent = null;
+        },
+        parentNode: node => node.parent,
+        nextSibling: (node) => {
+            if (!node.parent) return null;
+            return node.parent.children[node.parent.children.indexOf(node) + 1] || null;
+        },
+        patchProp: (el, key, prevValue, nextValue) => {
+            if (nextValue === null || nextValue === undefined) delete el.props[key];
+            else el.props[key] = nextValue;
+            if (key === 'value') el.value = nextValue;
+        }
+    });
+}
+
+// Mount a component and wait for pending updates; resolves to the root TestNode
+async function renderComponent(Vue, component) {
+    const root = new TestNode('root');
+    createTestRenderer(Vue).createApp(component).mount(root);
+    await Vue.nextTick();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await Vue.nextTick();
+    return root;
+}
+
+function walk(node, visit) {
+    visit(node);
+    node.children.forEach(child => walk(child, visit));
+}
+
+function collectElements(root) {
+    const elements = [];
+    walk(root, node => {
+        if (node.type === 'element') elements.push(node);
+    });
+    return elements;
+}
+
+function collectText(root) {
+    const texts = [];
+    walk(root, node => {
+        if (node.type === 'text') texts.push(node.text);
+    });
+    return texts.join('');
+}
+
+module.exports = {
+    TestNode,
+    createTestRenderer,
+    renderComponent,
+    collectElements,
+    collectText
+};
@@ -0,0 +1,216 @@
+// A stand-in for the MetaFS uploader's direct-upload endpoint. It enforces the preTx contract that
+// useFileToChainDirect relies on (single or multi-input, see isMultiInputEnabled there):
+//   - every preTx input spends a known output and is signed SIGHASH_SINGLE | ANYONE_CAN_PAY
+//   - input i has its own 1 satoshi output i back to the uploader
+//   - totalInputAmount is the sum of the inputs
+// then appends the OP_RETURN and change outputs the way the real backend does and checks that every
+// signature still verifies.
+
+const assert = require('node:assert/strict');
+const { createHash } = require('crypto');
+const zlib = require('zlib');
+
+const BASE_TX_SIGHASH = 0x3 | 0x80 | 0x40;
+
+// outputs: known unspent outputs by 'txid:index' => { script, satoshis }; merge txs sent along are added
+function createMockUploader(mvc, { apiBase, address, outputs, network = 'livenet' }) {
+    const uploads = [];
+    const Interpreter = mvc.Script.Interpreter;
+    const flags = Interpreter.SCRIPT_VERIFY_STRICTENC | Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID |
+        Interpreter.SCRIPT_VERIFY_LOW_S | Interpreter.SCRIPT_VERIFY_NULLFAIL;
+
+    function verifyInputs(tx, prevOutputs) {
+        tx.inputs.forEach((input, i) => {
+            const interpreter = new Interpreter();
+            const valid = interpreter.verify(input.script, prevOutputs[i].script, tx, i, flags, new mvc.crypto.BN(prevOutputs[i].satoshis));
+            assert.ok(valid, `input ${i} does not verify: ${interpreter.errstr}`);
+        });
+    }
+
+    function completeUpload(fields) {
+        if (fields.mergeTxHex) {
+            const mergeTx = new mvc.Transaction(fields.mergeTxHex);
+            mergeTx.outputs.forEach((output, index) => {
+                outputs.set(`${mergeTx.id}:${index}`, { script: output.script, satoshis: output.satoshis });
+            });
+        }
+
+        const preTx = new mvc.Transaction(fields.preTxHex);
+        const prevOutputs = preTx.inputs.map(input => {
+            const outpoint = `${Buffer.from(input.prevTxId).toString('hex')}:${input.outputIndex}`;
+            const output = outputs.get(outpoint);
+            assert.ok(output, `preTx spends an unknown output ${outpoint}`);
+            return output;
+        });
+
+        assert.equal(preTx.outputs.length, preTx.inputs.length, 'one 1 satoshi output per input');
+        preTx.outputs.forEach((output, i) => {
+            assert.equal(output.satoshis, 1, `output ${i} must be 1 satoshi`);
+            assert.equal(output.script.toAddress(network).toString(), address);
+        });
+        preTx.inputs.forEach((input, i) => {
+            const sighashType = input.script.chunks[0].buf.slice(-1)[0];
+            assert.equal(sighashType, BASE_TX_SIGHASH, `input ${i} must sign SIGHASH_SINGLE | ANYONE_CAN_PAY`);
+        });
+
+        const totalInputAmount = prevOutputs.reduce((sum, output) => sum + output.satoshis, 0);
+        assert.equal(Number(fields.totalInputAmount), totalInputAmount, 'totalInputAmount is the sum of the inputs');
+
+        // Append the pin and the change, as the backend does before broadcasting
+        const finalTx = new mvc.Transaction(fields.preTxHex);
+        finalTx.addOutput(new mvc.Transaction.Output({ script: mvc.Script.buildSafeDataOut(['metaid', fields.operation, fields.path]), satoshis: 0 }));
+        finalTx.addOutput(new mvc.Transaction.Output({ script: mvc.Script.buildPublicKeyHashOut(fields.changeAddress), satoshis: 1 }));
+        verifyInputs(finalTx, prevOutputs);
+
+        return { txId: finalTx.id, pinId: `${finalTx.id}i${preTx.outputs.length}`, status: 'success' };
+    }
+
+    const fetch = async (url, { body }) => {
+        assert.equal(url, `${apiBase}/api/v1/files/direct-upload`);
+        const fields = Object.fromEntries([...body.entries()].filter(([name]) => name !== 'file'));
+        uploads.push(fields);
+        return { ok: true, json: async () => ({ code: 0, data: completeUpload(fields) }) };
+    };
+
+    return { fetch, uploads };
+}
+
+// A stand-in for the multipart, estimate and task endpoints that useChunkUpload talks to. Parts are kept
+// per upload (etag = MD5 of the part, as on OSS), tasks are served in pages, and every request is
+// recorded with its parsed JSON body. A test can replace any route:
+//   routes['POST /api/v1/files/multipart/upload-part'] = (request, defaultRoute) => response
+// A response is { status = 200, body, headers }; a handler that throws simulates a network error.
+// Requests honour their AbortSignal, also while a handler is still pending.
+function createMockMultipartUploader({ apiBase, partEncodings = ['json'], routes = {}, tasks = [], taskPageSize = 10 }) {
+    const basePath = new URL(apiBase).pathname;
+    const requests = [];
+    const uploads = new Map();
+    const success = data => ({ body: { code: 0, data } });
+    const failure = message => ({ body: { code: 1, message } });
+
+    // The part number, upload and contents of an upload-part request in either encoding
+    async function readPart(request) {
+        if (request.json) {
+            return { uploadId: request.json.uploadId, partNumber: request.json.partNumber, bytes: Buffer.from(request.json.content, 'base64') };
+        }
+        return {
+            uploadId: request.query.get('uploadId'),
+            partNumber: Number(request.query.get('partNumber')),
+            bytes: Buffer.from(await request.body.arrayBuffer())
+        };
+    }
+
+    const defaultRoutes = {
+        'POST /api/v1/files/multipart/initiate': ({ json }) => {
+            const uploadId = `upload-${uploads.size + 1}`;
+            const upload = { key: `multipart/${uploadId}/${json.fileName}`, fileName: json.fileName, fileSize: json.fileSize, parts: new Map(), status: 'uploading' };
+            uploads.set(uploadId, upload);
+            return success({ uploadId, key: upload.key, partEncodings });
+        },
+        'POST /api/v1/files/multipart/upload-part': async (request) => {
+            const { uploadId, partNumber, bytes } = await readPart(request);
+            const upload = uploads.get(uploadId);
+            if (!upload || upload.status !== 'uploading') return failure('upload not found');
+            const etag = createHash('md5').update(bytes).digest('hex');
+            upload.parts.set(partNumber, { partNumber, etag, size: bytes.length });
+            return success({ etag });
+        },
+        'POST /api/v1/files/multipart/list-parts': ({ json }) => {
+            const upload = uploads.get(json.uploadId);
+            if (!upload || upload.status !== 'uploading') return failure('upload not found');
+            return success({ parts: [...upload.parts.values()].map(part => ({ ...part })) });
+        },
+        'POST /api/v1/files/multipart/complete': ({ json }) => {
+            const upload = uploads.get(json.uploadId);
+            if (!upload || upload.status !== 'uploading') return failure('upload not found');
+            json.parts.forEach((part, index) => {
+                assert.equal(part.partNumber, index + 1, 'parts are completed in order');
+                assert.equal(part.etag, upload.parts.get(part.partNumber).etag, `part ${part.partNumber} etag`);
+            });
+            upload.status = 'completed';
+            return success({ key: upload.key });
+        },
+        'POST /api/v1/files/multipart/abort': ({ json }) => {
+            const upload = uploads.get(json.uploadId);
+            if (upload) upload.status = 'aborted';
+            return success({});
+        },
+        'POST /api/v1/files/estimate-chunked-upload': ({ json }) => {
+            const upload = [...uploads.values()].find(item => item.status === 'completed' && item.key === json.storageKey);
+            if (!upload) return failure('file not found');
+            const chunkNumber = Math.ceil(upload.fileSize / (1024 * 1024));
+            return success({ chunkNumber, chunkSize: 1024 * 1024, fileSize: upload.fileSize, chunkPreTxFee: chunkNumber * 1000, indexPreTxFee: 500, perChunkFee: 1000, totalFee: chunkNumber * 1000 + 500 });
+        },
+        'POST /api/v1/files/chunked-upload-task': ({ json }) => {
+            const task = { taskId: `task-${tasks.length + 1}`, status: 'pending', fileName: json.fileName, request: json };
+            tasks.unshift(task);
+            return success({ taskId: task.taskId });
+        },
+        'GET /api/v1/files/tasks': ({ query }) => {
+            const cursor = Number(query.get('cursor')) || 0;
+            const size = Number(query.get('size')) || taskPageSize;
+            const page = tasks.slice(cursor, cursor + size);
+            return success({ tasks: page, nextCursor: cursor + page.length, hasMore: cursor + page.length < tasks.length });
+        }
+    };
+
+    function parseJsonBody({ body, headers = {} }) {
+        if (headers['Content-Type'] !== 'application/json' || body === undefined) return null;
+        const text = headers['Content-Encoding'] === 'gzip' ? zlib.gunzipSync(Buffer.from(body)).toString() : body;
+        return JSON.parse(text);
+    }
+
+    function abortError() {
+        return new DOMException('The operation was aborted.', 'AbortError');
+    }
+
+    // Settle with the handler, or reject as fetch does once the signal aborts
+    function raceAbort(promise, signal) {
+        if (!signal) return promise;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(abortError());
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    function toResponse({ status = 200, body = null, headers = {} } = {}) {
+        const headerMap = new Map(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            headers: { get: name => headerMap.get(name.toLowerCase()) ?? null },
+            json: async () => body
+        };
+    }
+
+    const fetch = async (url, options = {}) => {
+        const parsed = new URL(url);
+        const method = (options.method || 'GET').toUpperCase();
+        const request = {
+            route: `${method} ${parsed.pathname.slice(basePath.length)}`,
+            method,
+            query: parsed.searchParams,
+            headers: options.headers || {},
+            body: options.body,
+            json: parseJsonBody(options),
+            signal: options.signal
+        };
+        requests.push(request);
+        if (request.signal && request.signal.aborted) throw abortError();
+
+        const defaultRoute = defaultRoutes[request.route] || (() => ({ status: 404 }));
+        const handler = routes[request.route] || defaultRoute;
+        return toResponse(await raceAbort(Promise.resolve().then(() => handler(request, defaultRoute)), request.signal));
+    };
+
+    // Requests for one route, e.g. uploader.requestsTo('POST /api/v1/files/multipart/upload-part')
+    const requestsTo = route => requests.filter(request => request.route === route);
+
+    return { fetch, requests, requestsTo, uploads, tasks };
+}
+
+module.exports = {
+    createMockUploader,
+    createMockMultipartUploader
+};
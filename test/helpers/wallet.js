@@ -0,0 +1,93 @@
+// A stand-in for the Metalet wallet (window.metaidwallet) and MetaIDJs.TxComposer, built on mvc-lib.
+// It holds one private key, signs for real and records every request, so tests can check the
+// transactions the upload hooks build.
+
+const { randomBytes } = require('crypto');
+
+// MetaIDJs.TxComposer keeps the mvc.Transaction; serialize() hands the wallet a reference to it
+function createTxComposerClass(registry) {
+    return class TxComposer {
+        constructor(tx) {
+            this.tx = tx;
+        }
+
+        serialize() {
+            const id = `composer-${registry.size}`;
+            registry.set(id, this.tx);
+            return id;
+        }
+
+        static deserialize(id) {
+            return new TxComposer(registry.get(id));
+        }
+
+        getRawHex() {
+            return this.tx.toString();
+        }
+
+        getTxId() {
+            return this.tx.id;
+        }
+    };
+}
+
+// coins: satoshi values of the wallet's UTXOs; batchSigning: whether signTransactions exists
+function createMockWallet(mvc, { coins = [], network = 'livenet', batchSigning = true } = {}) {
+    const key = mvc.PrivateKey.fromRandom(network);
+    const address = key.toAddress(network).toString();
+    const lockingScript = mvc.Script.buildPublicKeyHashOut(address);
+    const utxos = coins.map((value, index) => ({ txid: randomBytes(32).toString('hex'), outIndex: index, value, address }));
+    const registry = new Map();
+    const requests = { getUtxos: 0, pay: [], signTransaction: [], signTransactions: [] };
+
+    // Signature of one input in the wallet's { sig, publicKey } format
+    function signInput(txHex, { inputIndex, satoshis, sigtype }) {
+        const tx = new mvc.Transaction(txHex);
+        const signature = mvc.Transaction.Sighash.sign(tx, key, sigtype, inputIndex, lockingScript, new mvc.crypto.BN(satoshis));
+        return { sig: Buffer.concat([signature.toDER(), Buffer.from([sigtype])]).toString('hex'), publicKey: key.publicKey.toString() };
+    }
+
+    const wallet = {
+        async getUtxos() {
+            requests.getUtxos++;
+            return utxos.map(utxo => ({ ...utxo }));
+        },
+
+        // Like Metalet: adds inputs only when the given ones cannot pay, adds change above dust, signs
+        async pay({ transactions, feeb }) {
+            requests.pay.push({ transactions, feeb });
+            const payedTransactions = transactions.map(({ txComposer }) => {
+                const tx = registry.get(txComposer);
+                requests.pay[requests.pay.length - 1].inputCount = tx.inputs.length;
+                if (tx.inputs.length === 0) {
+                    for (const utxo of utxos) {
+                        tx.from({ txId: utxo.txid, outputIndex: utxo.outIndex, script: lockingScript.toHex(), satoshis: utxo.value });
+                    }
+                }
+                tx.feePerKb(Math.ceil(feeb * 1000));
+                tx.change(address);
+                tx.sign(key);
+                if (!tx.isFullySigned()) throw new Error('pay could not sign every input');
+                return txComposer;
+            });
+            return { payedTransactions };
+        },
+
+        async signTransaction({ transaction }) {
+            requests.signTransaction.push(transaction);
+            return { signature: signInput(transaction.txHex, transaction) };
+        },
+
+        async signTransactions({ transactions }) {
+            requests.signTransactions.push(transactions);
+            return { signatures: transactions.map(transaction => signInput(transaction.txHex, transaction)) };
+        }
+    };
+    if (!batchSigning) delete wallet.signTransactions;
+
+    return { wallet, key, address, lockingScript, utxos, requests, TxComposer: createTxComposerClass(registry) };
+}
+
+module.exports = {
+    createMockWallet
+};
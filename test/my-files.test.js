@@ -0,0 +1,91 @@
+// MyFilesGallery: refreshing while a page is loading, and listing pins under custom paths.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadVue, loadScripts, loadFromIndex, createVueScope } = require('./helpers/load');
+const { renderComponent, collectElements, collectText } = require('./helpers/render');
+
+const pin = (n) => ({ id: `${String(n).repeat(64)}i0`, contentType: 'text/plain', timestamp: 1700000000 });
+
+// respond(params) answers getAddressPinList; every request is recorded
+async function renderGallery(respond, { uploadedPaths = [] } = {}) {
+    const context = createContext();
+    const Vue = loadVue(context);
+    const requests = [];
+    loadScripts(context, ['usePinOptions.js'], ['usePinOptions']);
+    const { MyFilesGallery } = loadFromIndex(context, [
+        'const CONSTANTS = {', 'function getMvcTxUrl(', 'function getPinContentUrl(', 'function toPinPage(',
+        'function formatFileSize(', 'function formatDate(', 'const useUploadedPinPaths = ', 'const MyFilesGallery = {'
+    ], {
+        ...createVueScope(Vue),
+        useLocalStorage: (key, initial) => Vue.ref(key === 'uploaded-pin-paths' ? uploadedPaths : initial),
+        useUserStore: () => Vue.reactive({ isAuthorized: true, last: { address: 'owner' } }),
+        useFileKeyStore: () => ({ keys: {} }),
+        useChunkTaskStore: () => ({ pinLineage: {}, getPinLineage: (pinId) => [{ pinId, operation: 'create' }], recordPinChange() {} }),
+        usePinActions: () => ({ busyPinId: Vue.ref(''), pinAction: Vue.ref(''), isPinRevoked: () => false, replacePin() {}, revokeLatestPin() {} }),
+        copyToClipboard() {},
+        getAddressPinList: (params) => {
+            requests.push(params);
+            return respond(params);
+        }
+    });
+    const root = await renderComponent(Vue, MyFilesGallery);
+    const settle = async () => {
+        await Vue.nextTick();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        await Vue.nextTick();
+    };
+    return { root, requests, settle };
+}
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+test('a page requested before a refresh is dropped when it arrives late', async () => {
+    const responses = [deferred(), deferred(), deferred()];
+    let calls = 0;
+    const { root, requests, settle } = await renderGallery(() => responses[calls++].promise);
+    assert.equal(requests.length, 1);
+
+    collectElements(root).find(element => element.tag === 'button' && element.textContent.includes('Refresh')).props.onClick();
+    await settle();
+    assert.equal(requests.length, 2, 'the refresh does not wait for the old request');
+
+    responses[1].resolve({ list: [pin(2)], total: 2 });
+    await settle();
+    responses[0].resolve({ list: [pin(1), pin(3)], total: 3 });
+    await settle();
+
+    const text = collectText(root);
+    assert.ok(text.includes(pin(2).id));
+    assert.ok(!text.includes(pin(1).id), 'the stale page is not merged into the new list');
+
+    // The next page continues from the refreshed list, and the stale request did not clear its loading state early
+    collectElements(root).find(element => element.tag === 'button' && element.textContent.includes('Load More')).props.onClick();
+    await settle();
+    assert.equal(requests.length, 3);
+    assert.equal(requests[2].cursor, 1);
+});
+
+test('files under a custom upload path can be listed', async () => {
+    const { root, requests, settle } = await renderGallery(({ path }) => ({ list: path === 'metaid.io:/docs' ? [pin(4)] : [], total: 1 }), {
+        uploadedPaths: ['metaid.io:/docs']
+    });
+    assert.equal(requests[0].path, '/file');
+
+    const options = collectElements(root).filter(element => element.tag === 'option').map(element => element.props.value);
+    assert.deepEqual(options, ['/file', 'metaid.io:/docs']);
+
+    const input = collectElements(root).find(element => element.tag === 'input' && element.props.list === 'my-files-paths');
+    input.value = 'metaid.io:/docs';
+    for (const listener of input.listeners.change || []) listener({ target: input });
+    await settle();
+
+    assert.equal(requests[requests.length - 1].path, 'metaid.io:/docs');
+    assert.ok(collectText(root).includes(pin(4).id));
+});
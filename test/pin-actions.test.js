@@ -0,0 +1,138 @@
+// usePinActions: Replace file / Revoke for any file pin, including direct uploads that never had a
+// chunked task. Every action targets the newest pin of the version chain.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadVue, loadFromIndex, createVueScope } = require('./helpers/load');
+
+const PIN_ID = `${'a'.repeat(64)}i0`;
+const pinId = (n) => `${String(n).repeat(64)}i0`;
+
+// fileKeys: the local key records of encrypted pins (useFileKeyStore().keys)
+function loadPinActions({ uploadError = null, fileKeys = {} } = {}) {
+    const context = createContext();
+    const Vue = loadVue(context);
+    const calls = { direct: [], chunked: [], revoke: [], uploaded: [], encrypt: [], publish: [] };
+    let nextPin = 1;
+
+    // The lineage part of useChunkTaskStore: new pinId -> { previousPinId, operation }
+    const pinLineage = {};
+    const taskStore = {
+        pinLineage,
+        getPinLineage(start) {
+            const chain = [{ pinId: start, operation: 'create' }];
+            let successor = Object.keys(pinLineage).find(id => pinLineage[id].previousPinId === start);
+            while (successor) {
+                chain.push({ pinId: successor, ...pinLineage[successor] });
+                const current = successor;
+                successor = Object.keys(pinLineage).find(id => pinLineage[id].previousPinId === current);
+            }
+            return chain;
+        },
+        recordPinChange({ pinId, previousPinId, operation }) {
+            pinLineage[pinId] = { previousPinId, operation };
+        }
+    };
+
+    const { usePinActions } = loadFromIndex(context, ['const usePinActions = '], {
+        ...createVueScope(Vue),
+        CONSTANTS: { DIRECT_UPLOAD_MAX_SIZE: 100 },
+        formatFileSize: bytes => `${bytes} B`,
+        useFileKeyStore: () => ({ keys: fileKeys }),
+        // Encryption adds 50 bytes; files over 1000 bytes cannot be encrypted
+        useFileEncryption: () => ({ getEncryptedSize: size => size + 50, MAX_ENCRYPTED_FILE_SIZE: 1000 }),
+        async prepareEncryptedUpload(file, options) {
+            calls.encrypt.push({ file, options });
+            const encryptedFile = new File([`cipher:${file.size}`], 'c1phe4.enc');
+            return { file: encryptedFile, fingerprint: { fileHash: 'c1phe4' }, fileKey: 'key', wrappedKey: 'wrapped', encryptedSource: { fileName: file.name } };
+        },
+        async publishEncryptedFileKey(newPinId, encrypted) {
+            calls.publish.push({ pinId: newPinId, fileName: encrypted.encryptedSource.fileName });
+        },
+        confirm: () => true,
+        useChunkTaskStore: () => taskStore,
+        getUploadHookDependencies: () => ({}),
+        useFileToChainDirect: () => ({
+            async uploadFileToChainDirect(file, options) {
+                calls.direct.push(options);
+                calls.uploaded.push(file);
+                if (uploadError) throw new Error(uploadError);
+                return { pinId: pinId(nextPin++) };
+            },
+            async revokePin(target) {
+                calls.revoke.push(target);
+                return { pinId: pinId(nextPin++) };
+            }
+        }),
+        useChunkUpload: () => ({
+            async runChunkedUploadFlow(options) {
+                calls.chunked.push(options);
+                calls.uploaded.push(options.file);
+                return { pinId: pinId(nextPin++) };
+            }
+        })
+    });
+    return { actions: usePinActions(), calls, pinLineage };
+}
+
+test('a direct-upload pin can be replaced twice and then revoked', async () => {
+    const { actions, calls, pinLineage } = loadPinActions();
+
+    await actions.replacePin(PIN_ID, new File(['small'], 'v2.txt'));
+    await actions.replacePin(PIN_ID, new File(['x'.repeat(200)], 'v3.txt'));
+    assert.equal(calls.direct[0].operation, 'modify');
+    assert.equal(calls.direct[0].targetPinId, PIN_ID);
+    assert.equal(calls.chunked[0].targetPinId, pinId(1), 'large files go through the chunked flow and target the newest pin');
+    assert.equal(calls.encrypt.length, 0, 'a plain pin gets a plain new version');
+    assert.equal(calls.direct[0].encryption, false);
+
+    assert.equal(actions.isPinRevoked(PIN_ID), false);
+    await actions.revokeLatestPin(PIN_ID);
+    assert.deepEqual(calls.revoke, [pinId(2)]);
+    assert.equal(pinLineage[pinId(3)].operation, 'revoke');
+    assert.equal(actions.isPinRevoked(PIN_ID), true);
+    assert.equal(actions.busyPinId.value, '');
+});
+
+test('a failed or cancelled replacement leaves the version chain alone', async () => {
+    for (const uploadError of ['Upload failed', 'user cancelled']) {
+        const { actions, pinLineage } = loadPinActions({ uploadError });
+
+        assert.equal(await actions.replacePin(PIN_ID, new File(['small'], 'v2.txt')), null);
+        assert.deepEqual(Object.keys(pinLineage), []);
+        assert.equal(actions.busyPinId.value, '');
+        assert.equal(actions.pinAction.value, '');
+    }
+});
+
+test('an encrypted pin is never replaced with plaintext', async () => {
+    const { actions, calls, pinLineage } = loadPinActions({ fileKeys: { [PIN_ID]: { wrappedKey: 'wrapped' } } });
+    const small = new File(['small'], 'v2.txt');
+    const large = new File(['x'.repeat(80)], 'v3.txt');
+
+    // The key record of the first pin marks the whole version chain as encrypted
+    await actions.replacePin(PIN_ID, small);
+    await actions.replacePin(PIN_ID, large);
+    assert.deepEqual(calls.encrypt.map(({ file, options }) => [file, options.chunked]), [[small, false], [large, true]]);
+    assert.deepEqual([calls.direct[0].encryption, calls.chunked[0].encryption], [true, true]);
+    assert.equal(calls.chunked[0].targetPinId, pinId(1));
+    assert.equal(calls.chunked[0].fingerprint.fileHash, 'c1phe4', 'the chunked flow fingerprints the ciphertext');
+    assert.ok(calls.uploaded.every(file => file.name === 'c1phe4.enc'), 'only ciphertext is uploaded');
+    assert.deepEqual(calls.publish, [{ pinId: pinId(1), fileName: 'v2.txt' }, { pinId: pinId(2), fileName: 'v3.txt' }]);
+    assert.equal(pinLineage[pinId(2)].previousPinId, pinId(1));
+
+    // Without a local key record the caller's flag (My Files: pin.encryption === '1') is enough
+    const flagged = loadPinActions();
+    await flagged.actions.replacePin(PIN_ID, small, 'notes', { encrypted: true });
+    assert.equal(flagged.calls.direct[0].encryption, true);
+    assert.equal(flagged.calls.uploaded[0].name, 'c1phe4.enc');
+});
+
+test('a file too large to encrypt does not replace an encrypted pin', async () => {
+    const { actions, calls, pinLineage } = loadPinActions({ fileKeys: { [PIN_ID]: { wrappedKey: 'wrapped' } } });
+
+    assert.equal(await actions.replacePin(PIN_ID, new File(['x'.repeat(1001)], 'huge.bin')), null);
+    assert.deepEqual([calls.encrypt.length, calls.uploaded.length], [0, 0]);
+    assert.deepEqual(Object.keys(pinLineage), []);
+    assert.equal(actions.busyPinId.value, '');
+});
@@ -0,0 +1,47 @@
+// Pin options shared by the direct and chunked upload hooks (src/usePinOptions.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadHook } = require('./helpers/load');
+
+const { normalizePinOptions, buildPinPath, getPinRequestFields } = loadHook('usePinOptions')();
+const PIN_ID = `${'ab'.repeat(32)}i0`;
+
+test('defaults are filled in, also for a missing or null options object', () => {
+    for (const options of [undefined, null, {}]) {
+        const pinOptions = normalizePinOptions(options);
+        assert.equal(pinOptions.operation, 'create');
+        assert.equal(pinOptions.path, '/file');
+        assert.equal(pinOptions.version, '1.0.0');
+        assert.equal(pinOptions.encryption, '0');
+        assert.equal(buildPinPath(pinOptions), '/file');
+    }
+});
+
+test('host and path are trimmed and joined as host:path', () => {
+    const pinOptions = normalizePinOptions({ path: ' /docs/a.txt ', host: ' metaid.io ', encryption: true });
+    assert.equal(buildPinPath(pinOptions), 'metaid.io:/docs/a.txt');
+    assert.equal(getPinRequestFields(pinOptions).encryption, '1');
+});
+
+test('modify and revoke address the target pin', () => {
+    for (const operation of ['modify', 'revoke']) {
+        const fields = getPinRequestFields(normalizePinOptions({ operation, targetPinId: PIN_ID, path: '/other' }));
+        assert.equal(fields.operation, operation);
+        assert.equal(fields.path, `@${PIN_ID}`);
+        assert.throws(() => normalizePinOptions({ operation, targetPinId: 'not-a-pin' }), /valid targetPinId/);
+    }
+});
+
+test('invalid paths, hosts and operations are rejected', () => {
+    assert.throws(() => normalizePinOptions({ path: 'file' }), /must start with "\/"/);
+    assert.throws(() => normalizePinOptions({ path: '/my file' }), /contain no spaces/);
+    assert.throws(() => normalizePinOptions({ host: 'a:b' }), /Invalid MetaID host/);
+    assert.throws(() => normalizePinOptions({ operation: 'delete' }), /Unsupported pin operation "delete"/);
+});
+
+test('callers can restrict the operations they support', () => {
+    const chunked = { operations: ['create', 'modify'] };
+    assert.equal(normalizePinOptions({ operation: 'modify', targetPinId: PIN_ID }, chunked).operation, 'modify');
+    assert.throws(() => normalizePinOptions({ operation: 'revoke', targetPinId: PIN_ID }, chunked), /Unsupported pin operation "revoke"/);
+});
@@ -0,0 +1,81 @@
+// ChunkedUploadReviewModal: switching the fee tier while reviewing must not outlive a cancelled review.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadVue, loadFromIndex, createVueScope } = require('./helpers/load');
+const { renderComponent, collectElements } = require('./helpers/render');
+
+async function openReviewModal() {
+    const context = createContext();
+    const Vue = loadVue(context);
+    const chainStore = Vue.reactive({
+        state: { mvc: { selectedFeeType: 'economyFee', economyFee: 1, fastestFee: 5, customizeFee: 2 } },
+        mvcFeeRate() {
+            return this.state.mvc[this.state.mvc.selectedFeeType];
+        },
+        setMvcFeeType(feeType) {
+            this.state.mvc.selectedFeeType = feeType;
+        },
+        setMvcCustomizeFee(feeRate) {
+            this.state.mvc.customizeFee = feeRate;
+        }
+    });
+    const { useChunkedUploadReview, ChunkedUploadReviewModal } = loadFromIndex(context, ['function formatFileSize(', 'function formatSatoshis(', 'const useChunkedUploadReview = ', 'const ChunkedUploadReviewModal = {'], {
+        ...createVueScope(Vue),
+        useChainStore: () => chainStore,
+        useConnectionStore: () => ({ adapter: { getMvcBalance: async () => ({ total: 100000 }) } })
+    });
+
+    const estimate = () => ({ chunkNumber: 2, chunkSize: 1024, feeRate: chainStore.mvcFeeRate() });
+    const result = useChunkedUploadReview().requestChunkedUploadReview({
+        fileName: 'photo.png',
+        fileSize: 2048,
+        estimateResult: estimate(),
+        walletSignatures: 3,
+        reEstimate: async () => estimate(),
+        getAmounts: () => ({ totalRequiredAmount: 1000 })
+    });
+    const root = await renderComponent(Vue, ChunkedUploadReviewModal);
+
+    const button = (label) => collectElements(root).find(element => element.tag === 'button' && element.textContent.includes(label));
+    const click = async (label) => {
+        button(label).props.onClick();
+        await Vue.nextTick();
+        await new Promise(resolve => setTimeout(resolve, 0));
+    };
+    return { chainStore, result, click, root };
+}
+
+test('cancelling the review restores the fee tier', async () => {
+    const { chainStore, result, click } = await openReviewModal();
+
+    await click('High');
+    assert.equal(chainStore.state.mvc.selectedFeeType, 'fastestFee');
+
+    await click('Cancel');
+    assert.equal((await result).confirmed, false);
+    assert.equal(chainStore.state.mvc.selectedFeeType, 'economyFee');
+    assert.equal(chainStore.state.mvc.customizeFee, 2);
+});
+
+test('confirming the review keeps the chosen fee tier', async () => {
+    const { chainStore, result, click } = await openReviewModal();
+
+    await click('High');
+    await click('Confirm');
+
+    const { confirmed, estimateResult } = await result;
+    assert.equal(confirmed, true);
+    assert.equal(estimateResult.feeRate, 5);
+    assert.equal(chainStore.state.mvc.selectedFeeType, 'fastestFee');
+});
+
+test('amounts are shown in SPACE and sats', async () => {
+    const { root, click } = await openReviewModal();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const text = root.textContent;
+    assert.ok(text.includes('0.00001000 SPACE (1,000 sats)'), 'the total');
+    assert.ok(text.includes('0.00100000 SPACE (100,000 sats)'), 'the balance');
+    await click('Cancel');
+});
@@ -0,0 +1,27 @@
+// CSV export of the task list: cells that spreadsheet software would run as formulas are neutralised.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadFromIndex } = require('./helpers/load');
+
+const { tasksToCsv } = loadFromIndex(createContext(), ['function tasksToCsv(']);
+
+test('tasksToCsv prefixes formula-like cells', () => {
+    const payloads = ['=HYPERLINK("http://x")', '+1+1', '-2+3', '@SUM(A1)', '\t=1+1', '\r=1+1'];
+    const csv = tasksToCsv(payloads.map(fileName => ({ fileName })), ['fileName']);
+    const cells = csv.split('\r\n').slice(1);
+
+    assert.deepEqual(cells, [
+        '"\'=HYPERLINK(""http://x"")"',
+        "'+1+1",
+        "'-2+3",
+        "'@SUM(A1)",
+        "'\t=1+1",
+        '"\'\r=1+1"'
+    ]);
+});
+
+test('tasksToCsv leaves ordinary cells untouched', () => {
+    const csv = tasksToCsv([{ fileName: 'photo.png', totalChunks: 3 }, { fileName: 'a, b.txt', totalChunks: 0 }], ['fileName', 'totalChunks']);
+    assert.equal(csv, 'fileName,totalChunks\r\nphoto.png,3\r\n"a, b.txt",0');
+});
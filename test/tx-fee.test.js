@@ -0,0 +1,100 @@
+// useTxFee sizes transactions from a placeholder copy. These tests sign real MVC transactions of the
+// same shapes and check that the placeholder is never smaller and only differs by signature length.
+//
+// Needs the mvc library that MetaIDJs bundles, which is not vendored in src/:
+//   npm install --no-save mvc-lib   (or point NODE_PATH at an existing install)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { randomBytes } = require('crypto');
+const { createContext, loadScripts, loadFromIndex } = require('./helpers/load');
+
+let mvc = null;
+try {
+    mvc = require('mvc-lib');
+} catch (error) {
+    // reported through the skip reason below
+}
+const skip = mvc ? false : 'mvc-lib is not installed';
+
+// DER signatures are 70-72 bytes plus the sighash byte; the placeholder always uses the 73-byte maximum
+const MAX_SIGNATURE_SLACK = 2;
+
+function loadTxFee() {
+    const context = createContext();
+    const { buildOpReturnV2 } = loadFromIndex(context, ['function buildOpReturnV2(']);
+    const { useTxFee } = loadScripts(context, ['useTxFee.js'], ['useTxFee']);
+    return {
+        txFee: useTxFee({ MetaIDJsInstance: { mvc }, BufferInstance: Buffer, buildOpReturnInstance: buildOpReturnV2 }),
+        buildOpReturnV2
+    };
+}
+
+// Sign a P2PKH transaction spending inputCount coins of one key into the given outputs
+function signTransaction({ inputCount, outputCount, opReturnData = null }) {
+    const key = mvc.PrivateKey.fromRandom('livenet');
+    const address = key.toAddress('livenet');
+    const lockingScript = mvc.Script.buildPublicKeyHashOut(address).toHex();
+
+    const tx = new mvc.Transaction();
+    tx.version = 10;
+    for (let i = 0; i < inputCount; i++) {
+        tx.from({ txId: randomBytes(32).toString('hex'), outputIndex: i, script: lockingScript, satoshis: 10000000 });
+    }
+    for (let i = 0; i < outputCount; i++) {
+        tx.to(address, 1000 + i);
+    }
+    if (opReturnData) {
+        tx.addOutput(new mvc.Transaction.Output({ script: mvc.Script.buildSafeDataOut(opReturnData), satoshis: 0 }));
+    }
+    tx.sign(key);
+    assert.ok(tx.isFullySigned());
+    return tx;
+}
+
+function assertSizeCovers(estimated, signed, inputCount) {
+    const actual = signed.toBuffer().length;
+    assert.ok(estimated >= actual, `estimate ${estimated} is below the signed size ${actual}`);
+    assert.ok(estimated - actual <= inputCount * MAX_SIGNATURE_SLACK, `estimate ${estimated} is too far above the signed size ${actual}`);
+}
+
+test('1 input, 2 outputs', { skip }, () => {
+    const { txFee } = loadTxFee();
+    const estimated = txFee.getTxSize({ inputCount: 1, outputCount: 2 });
+
+    for (let round = 0; round < 20; round++) {
+        assertSizeCovers(estimated, signTransaction({ inputCount: 1, outputCount: 2 }), 1);
+    }
+});
+
+test('multi-input merge transaction', { skip }, () => {
+    const { txFee } = loadTxFee();
+
+    for (const inputCount of [2, 7, 20, 260]) {
+        const estimated = txFee.getTxSize({ inputCount, outputCount: 3 });
+        assertSizeCovers(estimated, signTransaction({ inputCount, outputCount: 3 }), inputCount);
+    }
+});
+
+test('pin transaction with a long path and content type', { skip }, () => {
+    const { txFee, buildOpReturnV2 } = loadTxFee();
+    const pins = [
+        { path: '/file', contentType: 'image/png;binary', contentSize: 10 },
+        { path: `/file/${'deep/'.repeat(60)}report.docx`, contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document;binary', contentSize: 300 },
+        { path: `metaid.io:/protocols/${'x'.repeat(400)}`, contentType: `text/plain;${'p'.repeat(90)}`, contentSize: 70000 }
+    ];
+
+    for (const pin of pins) {
+        const opReturn = { operation: 'create', path: pin.path, encryption: '0', version: '1.0.0', contentType: pin.contentType, contentSize: pin.contentSize };
+        const estimated = txFee.getTxSize({ inputCount: 1, outputCount: 2, opReturn });
+
+        const opReturnData = buildOpReturnV2({ ...opReturn, body: randomBytes(pin.contentSize) });
+        assertSizeCovers(estimated, signTransaction({ inputCount: 1, outputCount: 2, opReturnData }), 1);
+    }
+});
+
+test('calculateFee keeps a margin above size times rate', () => {
+    const { txFee } = loadTxFee();
+    assert.ok(txFee.calculateFee(200, 1) > 200);
+    assert.ok(txFee.calculateFee(200, 2.5) > 500);
+});
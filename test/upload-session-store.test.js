@@ -0,0 +1,123 @@
+// useUploadSessionStore in IndexedDB (test/helpers/indexeddb.js) and in its in-memory fallback.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScripts } = require('./helpers/load');
+const { createFakeIndexedDB } = require('./helpers/indexeddb');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A fresh page: the hook's shared connection and memory store start empty. clock.now drives Date.now().
+function loadSessionStore({ indexedDB = null, localStorageItems = {}, clock = { now: Date.now() } } = {}) {
+    class FakeDate extends Date {
+        static now() {
+            return clock.now;
+        }
+    }
+    const context = createContext({ Date: FakeDate });
+    Object.entries(localStorageItems).forEach(([key, value]) => context.localStorage.setItem(key, value));
+    const { useUploadSessionStore } = loadScripts(context, ['useUploadSessionStore.js'], ['useUploadSessionStore']);
+    return { store: useUploadSessionStore({ indexedDBInstance: indexedDB }), localStorage: context.localStorage, clock };
+}
+
+function createSession(fileHash, overrides = {}) {
+    return {
+        id: `multipart_upload_${fileHash}_metaid_1Address`,
+        fileHash,
+        fileName: `${fileHash}.bin`,
+        address: '1Address',
+        uploadId: `upload-${fileHash}`,
+        status: 'uploading',
+        ...overrides
+    };
+}
+
+for (const backend of ['memory', 'IndexedDB']) {
+    test(`sessions are saved, updated and listed per address (${backend})`, async () => {
+        const { store, clock } = loadSessionStore({ indexedDB: backend === 'IndexedDB' ? createFakeIndexedDB() : null });
+        let changes = 0;
+        const unsubscribe = store.onSessionsChange(() => changes++);
+
+        await store.saveSession(createSession('a'));
+        clock.now += 1000;
+        await store.saveSession(createSession('b'));
+        await store.saveSession(createSession('c', { address: '1Other' }));
+        await Promise.all([
+            store.savePart(createSession('a').id, 1, { etag: 'e1', size: 10, checksum: 'c1' }),
+            store.savePart(createSession('a').id, 2, { etag: 'e2', size: 10, checksum: 'c2' })
+        ]);
+        clock.now += 1000;
+        const updated = await store.updateSession(createSession('b').id, session => ({ ...session, status: 'uploaded' }));
+
+        assert.equal(updated.status, 'uploaded');
+        assert.equal(updated.updatedAt, clock.now);
+        assert.equal(await store.updateSession('missing', session => session), null);
+        assert.deepEqual(Object.keys((await store.getSession(createSession('a').id)).parts), ['1', '2'], 'concurrent parts are both kept');
+        assert.deepEqual([...(await store.listSessions({ address: '1Address' })).map(session => session.fileHash)], ['b', 'a']);
+        assert.equal((await store.listSessions()).length, 3);
+
+        await store.deleteSession(createSession('a').id);
+        assert.equal(await store.getSession(createSession('a').id), null);
+        assert.equal(changes, 7);
+        unsubscribe();
+        await store.deleteSession(createSession('b').id);
+        assert.equal(changes, 7);
+    });
+}
+
+test('sessions in IndexedDB survive a page reload', async () => {
+    const indexedDB = createFakeIndexedDB();
+    await loadSessionStore({ indexedDB }).store.saveSession(createSession('a'));
+
+    const { store } = loadSessionStore({ indexedDB });
+    assert.equal((await store.getSession(createSession('a').id)).uploadId, 'upload-a');
+});
+
+test('without IndexedDB sessions only live as long as the page', async () => {
+    await loadSessionStore().store.saveSession(createSession('a'));
+
+    const { store } = loadSessionStore();
+    assert.equal(await store.getSession(createSession('a').id), null);
+});
+
+test('localStorage sessions of older versions move to IndexedDB', async () => {
+    const timestamp = Date.now() - 8 * DAY;
+    const { store, localStorage } = loadSessionStore({
+        indexedDB: createFakeIndexedDB(),
+        localStorageItems: {
+            multipart_upload_hash_metaid_1Address: JSON.stringify({
+                fileHash: 'hash', fileName: 'old.bin', fileSize: 5, metaId: 'metaid', address: '1Address',
+                uploadId: 'upload-old', key: 'old-key', parts: { 1: { etag: 'e1' } }, timestamp
+            }),
+            // Keyed by file name only: cannot be matched to a file safely
+            multipart_upload_name_metaid_1Address: JSON.stringify({ fileName: 'old.bin', uploadId: 'upload-name' }),
+            multipart_upload_broken: '{',
+            'unrelated-setting': 'kept'
+        }
+    });
+
+    const sessions = await store.listSessions();
+
+    assert.equal(sessions.length, 1);
+    assert.equal(sessions[0].id, 'multipart_upload_hash_metaid_1Address');
+    assert.equal(sessions[0].status, 'uploading');
+    assert.equal(sessions[0].parts[1].etag, 'e1');
+    assert.equal(sessions[0].stale, true, 'the legacy timestamp is kept');
+    assert.equal(localStorage.length, 1);
+    assert.equal(localStorage.getItem('unrelated-setting'), 'kept');
+});
+
+test('submitted sessions are pruned once their task succeeded or they went stale', async () => {
+    const { store, clock } = loadSessionStore({ indexedDB: createFakeIndexedDB() });
+    await store.saveSession(createSession('stale-submitted', { status: 'submitted', taskId: 'task-1' }));
+    await store.saveSession(createSession('stale-uploading'));
+    clock.now += 8 * DAY;
+    await store.saveSession(createSession('finished', { status: 'submitted', taskId: 'task-2' }));
+    await store.saveSession(createSession('running', { status: 'submitted', taskId: 'task-3' }));
+    await store.saveSession(createSession('uploaded', { status: 'uploaded', taskId: 'task-2' }));
+
+    const removed = await store.pruneSubmittedSessions({ finishedTaskIds: ['task-2'] });
+
+    assert.equal(removed, 2);
+    assert.deepEqual([...(await store.listSessions()).map(session => session.fileHash)].sort(), ['running', 'stale-uploading', 'uploaded']);
+});
@@ -0,0 +1,105 @@
+// Coin selection strategies of useUtxoSelection.
+// At 1 sat/byte a P2PKH input costs 149 satoshis, so a coin's effective value is its value minus 149,
+// and a target (which already pays for one input) is covered when effective values reach target - 149.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadHook } = require('./helpers/load');
+
+const { selectUtxos, STRATEGIES, getInputFee } = loadHook('useUtxoSelection')();
+const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+function coin(value, index = value) {
+    return { txid: `${index}`.padStart(64, '0'), outIndex: 0, value: value, address: 'address' };
+}
+
+// Selected coin values in ascending order (as a plain array of this realm, for deepEqual)
+function values(selection) {
+    return Array.from(selection.utxos, utxo => utxo.value).sort((a, b) => a - b);
+}
+
+test('input fee follows the fee rate', () => {
+    assert.equal(getInputFee(1), 149);
+    assert.equal(getInputFee(2), 298);
+    assert.equal(getInputFee(0.5), 75);
+});
+
+test('exact match: each strategy covers the target with its own choice of coins', () => {
+    // Effective values 551, 1000, 2000 and 5000; the effective target is 3000
+    const utxos = [coin(700), coin(1149), coin(2149), coin(5149)];
+    const target = 3149;
+
+    const expected = {
+        largestFirst: [5149],
+        branchAndBound: [1149, 2149],
+        smallestSufficient: [5149],
+        consolidate: [700, 1149, 2149]
+    };
+    for (const strategy of STRATEGY_NAMES) {
+        const selection = selectUtxos(utxos, target, 1, strategy);
+        assert.equal(selection.strategy, strategy);
+        assert.deepEqual(values(selection), expected[strategy], strategy);
+        assert.equal(selection.totalAmount, expected[strategy].reduce((sum, value) => sum + value, 0));
+    }
+});
+
+test('exact match: a single coin worth exactly the target is enough for every strategy', () => {
+    const utxos = [coin(3149), coin(9000), coin(400)];
+
+    for (const strategy of ['largestFirst', 'smallestSufficient']) {
+        assert.deepEqual(values(selectUtxos(utxos, 9000, 1, strategy)), [9000], strategy);
+    }
+    for (const strategy of ['branchAndBound', 'smallestSufficient']) {
+        assert.deepEqual(values(selectUtxos(utxos, 3149, 1, strategy)), [3149], strategy);
+    }
+    // Smallest first needs the 400 coin before it reaches 3149
+    assert.deepEqual(values(selectUtxos(utxos, 3149, 1, 'consolidate')), [400, 3149]);
+});
+
+test('branch and bound only accepts overshoot below the cost of a change output', () => {
+    // Effective values 5000 and 8000; the target leaves 1000 too much, more than 34 + 546 satoshis of change cost
+    const utxos = [coin(5149), coin(8149)];
+    const selection = selectUtxos(utxos, 4149, 1, 'branchAndBound');
+
+    assert.equal(selection.strategy, 'largestFirst', 'falls back to largest first');
+    assert.deepEqual(values(selection), [8149]);
+
+    // 500 satoshis of overshoot stays under the change cost
+    assert.deepEqual(values(selectUtxos(utxos, 4649, 1, 'branchAndBound')), [5149]);
+    assert.equal(selectUtxos(utxos, 4649, 1, 'branchAndBound').strategy, 'branchAndBound');
+});
+
+test('insufficient funds: every strategy returns null', () => {
+    const utxos = [coin(1149), coin(2149)];
+    // Effective total 3000; the effective target is 3001
+    for (const strategy of STRATEGY_NAMES) {
+        assert.equal(selectUtxos(utxos, 3150, 1, strategy), null, strategy);
+    }
+    // The same coins are just enough
+    for (const strategy of STRATEGY_NAMES) {
+        assert.ok(selectUtxos(utxos, 3149, 1, strategy), strategy);
+    }
+    assert.equal(selectUtxos([], 1000, 1), null);
+    assert.equal(selectUtxos(undefined, 1000, 1), null);
+});
+
+test('dust: coins that do not pay for their own input are never selected', () => {
+    const dust = [coin(100, 1), coin(149, 2), coin(149, 3)];
+    const utxos = [...dust, coin(2000, 4), coin(3000, 5)];
+
+    for (const strategy of STRATEGY_NAMES) {
+        const selection = selectUtxos(utxos, 1500, 1, strategy);
+        assert.ok(selection.utxos.every(utxo => utxo.value > 149), strategy);
+        assert.equal(selectUtxos(dust, 1, 1, strategy), null, `${strategy} with dust only`);
+    }
+
+    // At 2 sat/byte a 250 satoshi coin costs more to spend than it holds
+    const selection = selectUtxos([coin(250), coin(260), coin(5000)], 1000, 2, 'consolidate');
+    assert.deepEqual(values(selection), [5000]);
+});
+
+test('an unknown strategy falls back to largest first', () => {
+    const selection = selectUtxos([coin(1149), coin(5149)], 1149, 1, 'doesNotExist');
+    assert.equal(selection.strategy, 'largestFirst');
+    assert.deepEqual(values(selection), [5149]);
+});
@@ -0,0 +1,189 @@
+// Regression tests for script injection through file names and server-provided task fields.
+// The real ChunkTaskList and ChunkedUploadReviewModal components from index.html are rendered with
+// hostile payloads; the rendered tree must contain the payloads as text only.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadVue, loadFromIndex, loadScripts, createVueScope } = require('./helpers/load');
+const { renderComponent, collectElements, collectText } = require('./helpers/render');
+
+const HOSTILE_STRINGS = [
+    '<img src=x onerror="globalThis.__xss = true">',
+    '"><script>globalThis.__xss = true</script>',
+    "' onmouseover='globalThis.__xss = true' x='",
+    '<svg onload=globalThis.__xss=true>'
+];
+const HOSTILE_TX_IDS = [
+    'javascript:globalThis.__xss=true',
+    '" onclick="globalThis.__xss = true',
+    '../../evil?x=<img src=x onerror=alert(1)>'
+];
+
+function createTasks(fileNames, txIds) {
+    return fileNames.map((fileName, index) => ({
+        taskId: `task-${index}`,
+        fileName: fileName,
+        status: index % 2 ? 'failed' : 'success',
+        progress: 50,
+        processedChunks: 1,
+        totalChunks: 2,
+        currentStep: fileName,
+        errorMessage: fileName,
+        indexTxId: txIds[index % txIds.length],
+        createdAt: '2026-01-01T00:00:00Z'
+    }));
+}
+
+async function renderTaskList(tasks) {
+    const context = createContext();
+    const Vue = loadVue(context);
+    const scope = createVueScope(Vue);
+    const taskStore = Vue.reactive({
+        tasks: tasks,
+        filteredTasks: tasks,
+        loading: false,
+        loadingMore: false,
+        hasMore: false,
+        hasActiveTasks: false,
+        filters: { status: '', search: '', dateFrom: '', dateTo: '' },
+        sortBy: 'createdAt',
+        sortDirection: 'desc',
+        retryLinks: {},
+        retryOrigins: {},
+        getPinLineage: () => [],
+        loadTasks() {},
+        startPolling() {},
+        stopPolling() {},
+        reset() {}
+    });
+    const { ChunkTaskList } = loadFromIndex(context, ['const CONSTANTS = {', 'function getMvcTxUrl(', 'function formatDate(', 'const ChunkTaskList = {'], {
+        ...scope,
+        useUserStore: () => Vue.reactive({ isAuthorized: true, last: { address: 'address' } }),
+        useChunkTaskStore: () => taskStore,
+        getUploadHookDependencies: () => ({}),
+        useChunkUpload: () => ({ retryChunkTask() {} }),
+        usePinActions: () => ({ busyPinId: Vue.ref(''), pinAction: Vue.ref(''), isPinRevoked: () => false, replacePin() {}, revokeLatestPin() {} })
+    });
+    return { root: await renderComponent(Vue, ChunkTaskList), context };
+}
+
+// The chunk upload hook opens the real review modal for a file with the given name
+async function renderReviewModal(fileName) {
+    const context = createContext();
+    const Vue = loadVue(context);
+    const scope = createVueScope(Vue);
+    const { useChunkedUploadReview, ChunkedUploadReviewModal } = loadFromIndex(context, ['function formatFileSize(', 'function formatSatoshis(', 'const useChunkedUploadReview = ', 'const ChunkedUploadReviewModal = {'], {
+        ...scope,
+        useChainStore: () => ({
+            state: { mvc: { selectedFeeType: 'economyFee', economyFee: 1, fastestFee: 2, customizeFee: 1 } },
+            mvcFeeRate: () => 1
+        }),
+        useConnectionStore: () => ({ adapter: { getMvcBalance: async () => ({ total: 100000 }) } })
+    });
+    const { useChunkUpload } = loadScripts(context, ['useChunkUpload.js'], ['useChunkUpload']);
+    const { showChunkedUploadConfirmation } = useChunkUpload({
+        chunkedUploadReviewInstance: useChunkedUploadReview(),
+        chainStoreInstance: { mvcFeeRate: () => 1 },
+        txFeeInstance: { getTxSize: () => 200, calculateFee: size => size }
+    });
+
+    const estimate = { chunkNumber: 2, chunkSize: 1024, chunkPreTxFee: 1000, indexPreTxFee: 500, perChunkFee: 500 };
+    showChunkedUploadConfirmation({ name: fileName, size: 2048 }, estimate);
+    return { root: await renderComponent(Vue, ChunkedUploadReviewModal), context };
+}
+
+// Element tags, attribute names and handler names of a rendered tree
+function describeTree(root) {
+    return collectElements(root).map(element => ({
+        tag: element.tag,
+        props: Object.keys(element.props).sort(),
+        listeners: Object.keys(element.listeners).sort()
+    }));
+}
+
+function assertInert(root, context) {
+    for (const element of collectElements(root)) {
+        assert.ok(!['script', 'img', 'iframe', 'object', 'embed'].includes(element.tag), `unexpected <${element.tag}> element`);
+        assert.ok(!('innerHTML' in element.props), 'innerHTML must not be set');
+        for (const [name, value] of Object.entries(element.props)) {
+            if (/^on/i.test(name)) {
+                assert.equal(typeof value, 'function', `attribute ${name} must be a template handler, not a string`);
+            }
+            if (name === 'href') {
+                assert.match(value, /^https:\/\//, `link ${value} must point to the explorer`);
+            }
+        }
+    }
+    assert.equal(context.__xss, undefined, 'payload executed');
+}
+
+test('ChunkTaskList renders hostile task fields as text', async () => {
+    const benign = await renderTaskList(createTasks(['a.png', 'b.png', 'c.png', 'd.png'], ['a'.repeat(64)]));
+    const hostile = await renderTaskList(createTasks(HOSTILE_STRINGS, HOSTILE_TX_IDS));
+
+    // Same template paths (success and failed tasks), so the payloads must not add any element or handler
+    assert.deepEqual(describeTree(hostile.root), describeTree(benign.root));
+    assertInert(hostile.root, hostile.context);
+
+    const text = collectText(hostile.root);
+    for (const payload of HOSTILE_STRINGS) {
+        assert.ok(text.includes(payload), `payload should be shown literally: ${payload}`);
+    }
+});
+
+test('ChunkTaskList explorer links encode indexTxId', async () => {
+    const { root } = await renderTaskList(createTasks(['a.png', 'b.png', 'c.png'], HOSTILE_TX_IDS));
+    const hrefs = collectElements(root).filter(element => element.tag === 'a').map(element => element.props.href);
+
+    assert.equal(hrefs.length, 3);
+    for (const href of hrefs) {
+        assert.match(href, /^https:\/\/www\.mvcscan\.com\/tx\/[^/"'<>\s]*$/);
+    }
+});
+
+test('getMvcTxUrl keeps hostile ids inside the explorer path', () => {
+    const context = createContext();
+    const { getMvcTxUrl } = loadFromIndex(context, ['const CONSTANTS = {', 'function getMvcTxUrl(']);
+
+    for (const txId of HOSTILE_TX_IDS) {
+        const url = new URL(getMvcTxUrl(txId));
+        assert.equal(url.protocol, 'https:');
+        assert.equal(url.host, 'www.mvcscan.com');
+        assert.equal(url.search, '');
+        assert.equal(decodeURIComponent(url.pathname), `/tx/${txId}`);
+    }
+});
+
+test('ChunkedUploadReviewModal renders a hostile file name as text', async () => {
+    const benign = await renderReviewModal('holiday.png');
+
+    for (const payload of HOSTILE_STRINGS) {
+        const hostile = await renderReviewModal(payload);
+        assert.deepEqual(describeTree(hostile.root), describeTree(benign.root));
+        assertInert(hostile.root, hostile.context);
+        assert.ok(collectText(hostile.root).includes(payload));
+    }
+});
+
+test('Chunked upload confirmation fallback never builds markup', async () => {
+    const prompts = [];
+    const context = createContext({
+        document: { createElement: () => assert.fail('no DOM should be created'), body: {} },
+        confirm: (message) => {
+            prompts.push(message);
+            return false;
+        }
+    });
+    const { useChunkUpload } = loadScripts(context, ['useChunkUpload.js'], ['useChunkUpload']);
+    const { showChunkedUploadConfirmation } = useChunkUpload({
+        chainStoreInstance: { mvcFeeRate: () => 1 },
+        txFeeInstance: { getTxSize: () => 200, calculateFee: size => size }
+    });
+
+    const estimate = { chunkNumber: 2, chunkSize: 1024, chunkPreTxFee: 1000, indexPreTxFee: 500, perChunkFee: 500 };
+    const result = await showChunkedUploadConfirmation({ name: HOSTILE_STRINGS[0], size: 2048 }, estimate);
+
+    assert.equal(result.confirmed, false);
+    assert.equal(prompts.length, 1);
+    assert.ok(prompts[0].includes(HOSTILE_STRINGS[0]));
+});